@@ -0,0 +1,33 @@
+import React from 'react';
+import { reportAssetError } from '../utils/assetStore';
+
+/**
+ * AssetErrorBoundary Component: Contains the failure of one asset (a model or texture that
+ * could not be loaded), rendering `fallback` in its place and reporting it to utils/assetStore.
+ * Error boundaries can only be class components.
+ * @param {object} props - Component properties.
+ * @param {string} props.url - URL of the guarded asset; a new URL tries again.
+ * @param {React.ReactNode} props.fallback - Rendered instead of the children after a failure.
+ */
+export class AssetErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { failed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    reportAssetError(this.props.url, error);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.url !== this.props.url && this.state.failed) this.setState({ failed: false });
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
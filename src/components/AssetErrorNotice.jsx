@@ -0,0 +1,24 @@
+import { AlertCircle, X } from 'lucide-react';
+import { dismissAssetErrors, useAssetErrors } from '../utils/assetStore';
+
+/**
+ * AssetErrorNotice Component: Dismissible notice listing the assets that failed to load
+ * (see utils/assetStore); the scene keeps running with fallbacks for them.
+ */
+export function AssetErrorNotice() {
+  const { failed, dismissed } = useAssetErrors();
+  if (failed.length <= dismissed) return null;
+
+  return (
+    <div
+      className="flex items-center gap-2 bg-amber-500/20 backdrop-blur-xl border-2 border-amber-400/50 rounded-xl px-3 py-2 text-xs font-semibold text-amber-100"
+      title={failed.map((item) => `${item.url}: ${item.message}`).join('\n')}
+    >
+      <AlertCircle className="w-4 h-4 shrink-0" />
+      {failed.length} ASSET{failed.length === 1 ? '' : 'S'} FAILED TO LOAD · SHOWING PLACEHOLDERS
+      <button onClick={dismissAssetErrors} className="ml-1 hover:text-white" title="Dismiss">
+        <X className="w-3 h-3" />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import { Crosshair, Globe } from 'lucide-react';
+import { useSatellites } from './useSatellites';
+
+/**
+ * CameraPanel Component: Current camera mode, a satellite picker to follow one, and the way back
+ * to the overview.
+ * @param {object} props - Component properties.
+ * @param {object} props.focus - Camera mode (see CameraRig).
+ * @param {function} props.onFollow - Called with the NORAD id of the satellite to follow.
+ * @param {function} props.onOverview - Returns to the overview.
+ */
+export function CameraPanel({ focus, onFollow, onOverview }) {
+  const { orbits, getStyle } = useSatellites();
+  const followed = focus.type === 'satellite' ? orbits.find((orbit) => orbit.noradId === focus.noradId) : null;
+  const label = {
+    overview: 'OVERVIEW',
+    location: `OVER ${focus.name?.toUpperCase()}`,
+    satellite: `FOLLOWING ${followed ? getStyle(followed).name.toUpperCase() : ''}`,
+  }[focus.type];
+
+  return (
+    <div className="w-64 bg-gray-900/90 backdrop-blur-xl border-2 border-cyan-500/40 rounded-2xl shadow-2xl shadow-cyan-500/30 text-cyan-100 text-xs px-4 py-2 space-y-2">
+      <div className="flex items-center gap-2 font-mono font-semibold">
+        <Crosshair className="w-4 h-4 text-cyan-300 shrink-0" />
+        <span className="truncate">{label}</span>
+        {focus.type !== 'overview' && (
+          <button
+            onClick={onOverview}
+            className="ml-auto flex items-center gap-1 px-2 py-0.5 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20"
+            title="Back to the overview"
+          >
+            <Globe className="w-3 h-3" /> OVERVIEW
+          </button>
+        )}
+      </div>
+      <select
+        value={followed ? followed.noradId : ''}
+        onChange={(e) => e.target.value && onFollow(Number(e.target.value))}
+        className="w-full bg-gray-800/80 border border-cyan-500/40 rounded-lg px-2 py-1"
+        aria-label="Follow a satellite"
+      >
+        <option value="">Follow a satellite…</option>
+        {orbits.map((orbit) => (
+          <option key={orbit.noradId} value={orbit.noradId}>{getStyle(orbit).name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useRef, useEffect } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { geodeticToVector3, latLonToVector3 } from '../utils/geo';
+import { propagateOrbit } from '../utils/tle';
+import { useOrbitElements } from '../utils/orbitStore';
+import { getSimulationTime } from '../utils/simulationClock';
+import { getEarthRotationAngle } from '../utils/astronomy';
+
+// Camera distances (scene units) the camera modes ease towards: from the focused satellite, from
+// the globe's centre above a location, and from the centre in the overview.
+const FOCUS_DISTANCE = 1.5;
+const LOCATION_DISTANCE = 4;
+const OVERVIEW_DISTANCE = 5;
+// Fraction of the remaining way covered each frame while flying.
+const FLY_EASING = 0.08;
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const ORIGIN = new THREE.Vector3();
+const focusTarget = new THREE.Vector3();
+const focusOffset = new THREE.Vector3();
+const flyDirection = new THREE.Vector3();
+const flyRotation = new THREE.Quaternion();
+const IDENTITY_ROTATION = new THREE.Quaternion();
+
+/**
+ * CameraRig Component: Drives the camera for the current camera mode:
+ * - overview: flies back to the globe's centre at OVERVIEW_DISTANCE, then leaves the camera free;
+ *   with a `position` (restored from a link) the camera is placed there directly.
+ * - location: flies over the location (`{ lat, lon }`), then turns with the Earth so the location
+ *   stays in view while the clock runs.
+ * - satellite: follows the satellite (`{ noradId }`). Every frame the orbit controls' target
+ *   eases towards its world position and the camera moves along, closing in to FOCUS_DISTANCE.
+ * The user can orbit and zoom in every mode; dragging during a flight ends it.
+ * @param {object} props - Component properties.
+ * @param {object} props.focus - Camera mode (see OVERVIEW_FOCUS), `{ type, ... }`.
+ * @param {object} props.controlsRef - Ref to the OrbitControls.
+ */
+export function CameraRig({ focus, controlsRef }) {
+  const { orbits } = useOrbitElements();
+  const orbit = focus.type === 'satellite' ? orbits.find((candidate) => candidate.noradId === focus.noradId) : null;
+  const flight = useRef({ flying: true, angle: null });
+  const camera = useThree((state) => state.camera);
+  const invalidate = useThree((state) => state.invalidate);
+
+  // Every new mode starts with a flight, which the user can cut short by dragging.
+  useEffect(() => {
+    flight.current = { flying: !focus.position, angle: null };
+    if (focus.position) {
+      camera.position.set(...focus.position);
+      controlsRef.current?.target.copy(ORIGIN);
+      invalidate();
+    }
+    const controls = controlsRef.current;
+    const stopFlying = () => {
+      flight.current.flying = false;
+    };
+    controls?.addEventListener('start', stopFlying);
+    return () => controls?.removeEventListener('start', stopFlying);
+  }, [focus, controlsRef, camera, invalidate]);
+
+  useFrame(() => {
+    const controls = controlsRef.current;
+    if (!controls) return;
+    const time = getSimulationTime();
+    const earthAngle = getEarthRotationAngle(time);
+    focusOffset.copy(camera.position).sub(controls.target);
+    const distance = focusOffset.length();
+
+    if (focus.type === 'satellite') {
+      const position = orbit && propagateOrbit(orbit, time);
+      if (!position) return;
+      // Satellites are placed in the Earth-fixed frame; rotate by the Earth's angle to get world coordinates.
+      focusTarget
+        .set(...geodeticToVector3(position.lat, position.lon, position.altitude))
+        .applyAxisAngle(Y_AXIS, earthAngle);
+      controls.target.lerp(focusTarget, 0.1);
+      focusOffset.setLength(distance + (Math.min(distance, FOCUS_DISTANCE) - distance) * 0.05);
+      camera.position.copy(controls.target).add(focusOffset);
+      return;
+    }
+
+    const state = flight.current;
+    if (focus.type === 'location') {
+      if (state.flying) {
+        flyDirection.set(...latLonToVector3(focus.lat, focus.lon, 1)).applyAxisAngle(Y_AXIS, earthAngle).normalize();
+        focusTarget.copy(focusOffset).normalize();
+        flyRotation.setFromUnitVectors(focusTarget, flyDirection);
+        focusOffset.applyQuaternion(IDENTITY_ROTATION.clone().slerp(flyRotation, FLY_EASING));
+        focusOffset.setLength(distance + (LOCATION_DISTANCE - distance) * FLY_EASING);
+        state.flying = focusTarget.angleTo(flyDirection) > 0.002 || Math.abs(distance - LOCATION_DISTANCE) > 0.01;
+      } else if (state.angle !== null) {
+        // Turn with the Earth so the location stays where the user left it.
+        focusOffset.applyAxisAngle(Y_AXIS, earthAngle - state.angle);
+      }
+      state.angle = earthAngle;
+    } else {
+      // The target always returns to the centre, even when the user cuts the flight short.
+      const centred = controls.target.length() < 0.001;
+      if (!state.flying && centred) return;
+      if (state.flying) {
+        focusOffset.setLength(distance + (OVERVIEW_DISTANCE - distance) * FLY_EASING);
+        state.flying = Math.abs(distance - OVERVIEW_DISTANCE) > 0.01 || !centred;
+      }
+    }
+
+    controls.target.lerp(ORIGIN, 0.1);
+    camera.position.copy(controls.target).add(focusOffset);
+    // Keep frames coming while flying, also when the scene is rendered on demand.
+    if (state.flying || controls.target.length() >= 0.001) invalidate();
+  });
+
+  return null;
+}
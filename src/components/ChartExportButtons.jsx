@@ -0,0 +1,41 @@
+import { useState } from 'react';
+import { ImageDown } from 'lucide-react';
+import { exportChartPNG, exportChartSVG } from '../utils/chartExport';
+
+/**
+ * ChartExportButtons Component: PNG/SVG download buttons for the chart inside `targetRef`.
+ * @param {object} props - Component properties.
+ * @param {object} props.targetRef - Ref to the element wrapping the chart.
+ * @param {string} props.filename - File name without extension.
+ * @param {string} props.title - Title written on the exported image.
+ * @param {Array<{label: string, color: string}>} props.legend - Series listed in the image legend.
+ */
+export function ChartExportButtons({ targetRef, filename, title, legend }) {
+  const [exportError, setExportError] = useState(null);
+
+  const handleExport = async (format) => {
+    setExportError(null);
+    try {
+      if (format === 'svg') exportChartSVG(targetRef.current, filename, { title, legend });
+      else await exportChartPNG(targetRef.current, filename, { title, legend });
+    } catch (err) {
+      setExportError(err.message);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1 text-[10px] font-mono font-semibold text-white/70">
+      {exportError && <span className="text-red-300 mr-1">{exportError}</span>}
+      {['png', 'svg'].map((format) => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          className="flex items-center gap-1 px-2 py-1 rounded-lg border border-white/20 hover:bg-white/10 transition-all"
+          title={`Download chart as ${format.toUpperCase()}`}
+        >
+          <ImageDown className="w-3 h-3" /> {format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { useState, useMemo } from 'react';
+import { Line, Area, ComposedChart, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Loader2, CalendarClock } from 'lucide-react';
+import { aggregateSeries } from '../utils/aggregate';
+import { CLIMATOLOGY_PERIOD, getNormal } from '../utils/climatology';
+import { PARAMETER_CATALOG, formatParameterLabel, roundValue } from '../utils/parameters';
+
+/**
+ * ClimatologyChart Component: Draws one parameter over the dashboard's range against the location's
+ * monthly normals: the normal as a dashed line, and the 10th-90th percentile and min-max bands of
+ * the month's yearly means.
+ * @param {object} props - Component properties.
+ * @param {string[]} props.parameters - Selected parameter ids.
+ * @param {object} props.data - Dashboard data (see buildDashboardData).
+ * @param {{status: string, normals: object|null, failures: object, error: string|null}} props.climatology - Loaded
+ *   normals, and the failure message of each parameter that could not be loaded.
+ */
+export function ClimatologyChart({ parameters, data, climatology }) {
+  const [chartParameter, setChartParameter] = useState(parameters[0]);
+  const activeParameter = parameters.includes(chartParameter) ? chartParameter : parameters[0];
+  const entry = PARAMETER_CATALOG[activeParameter];
+  const normals = climatology.normals?.[activeParameter];
+  const series = data.daily[activeParameter];
+
+  const chart = useMemo(() => {
+    if (!normals || !series) return [];
+    const fields = ['value', 'normal', 'min', 'max', 'p10', 'p90'];
+    const rows = data.days.map((day, index) => {
+      const normal = getNormal(normals, day);
+      return {
+        dateKey: day.replace(/-/g, ''),
+        value: series.values[index],
+        normal: normal?.mean ?? null,
+        min: normal?.min ?? null,
+        max: normal?.max ?? null,
+        p10: normal?.p10 ?? null,
+        p90: normal?.p90 ?? null,
+      };
+    });
+    return aggregateSeries(rows, data.granularity, fields, (_, value) => roundValue(activeParameter, value))
+      .map((row) => ({ ...row, range: [row.min, row.max], spread: [row.p10, row.p90] }));
+  }, [normals, series, data.days, data.granularity, activeParameter]);
+
+  return (
+    <div className="bg-gradient-to-br from-cyan-500/10 to-purple-500/10 backdrop-blur-xl p-6 rounded-2xl border-2 border-cyan-500/40 mt-4 shadow-lg shadow-cyan-500/10">
+      <div className="flex items-center gap-2 mb-1 flex-wrap">
+        <CalendarClock className="w-5 h-5 text-cyan-300" />
+        <h3 className="text-lg font-bold text-cyan-100 drop-shadow-[0_0_8px_rgba(6,182,212,0.5)]">CLIMATOLOGY</h3>
+        <select
+          value={activeParameter}
+          onChange={(e) => setChartParameter(e.target.value)}
+          className="ml-auto bg-gray-800/80 border border-cyan-500/40 rounded-lg px-2 py-1 text-xs font-mono font-semibold text-cyan-100"
+          aria-label="Climatology parameter"
+        >
+          {parameters.map((id) => <option key={id} value={id}>{formatParameterLabel(id)}</option>)}
+        </select>
+      </div>
+      <p className="mb-4 text-[10px] font-mono text-cyan-200/60">
+        MONTHLY NORMALS {CLIMATOLOGY_PERIOD.startYear}–{CLIMATOLOGY_PERIOD.endYear} (NASA POWER) · BANDS: MIN–MAX AND P10–P90 OF THE YEARLY MONTHLY MEANS
+      </p>
+
+      {climatology.status === 'loading' && (
+        <p className="flex items-center gap-2 text-sm text-cyan-200"><Loader2 className="w-4 h-4 animate-spin" /> LOADING NORMALS...</p>
+      )}
+      {climatology.status === 'error' && <p className="text-sm text-red-300">{climatology.error}</p>}
+      {climatology.status === 'ready' && chart.length === 0 && (
+        <p className={`text-sm ${climatology.failures[activeParameter] ? 'text-red-300' : 'text-cyan-200/70'}`}>
+          {climatology.failures[activeParameter] || `NO NORMALS AVAILABLE FOR ${formatParameterLabel(activeParameter).toUpperCase()}`}
+        </p>
+      )}
+      {chart.length > 0 && (
+        <ResponsiveContainer width="100%" height={220}>
+          <ComposedChart data={chart}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+            <XAxis dataKey="date" stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+            <YAxis stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} domain={['auto', 'auto']} />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: 'rgba(15, 23, 42, 0.95)',
+                border: '2px solid rgba(6, 182, 212, 0.4)',
+                borderRadius: '12px',
+                fontWeight: '600'
+              }}
+              labelStyle={{ color: '#06b6d4', fontWeight: 'bold' }}
+              formatter={(value) => (Array.isArray(value) ? value.join(' – ') : value)}
+            />
+            <Area type="monotone" dataKey="range" stroke="none" fill={entry.color} fillOpacity={0.12} name="Normal min–max" />
+            <Area type="monotone" dataKey="spread" stroke="none" fill={entry.color} fillOpacity={0.25} name="Normal P10–P90" />
+            <Line type="monotone" dataKey="normal" stroke="#e2e8f0" strokeWidth={1.5} strokeDasharray="6 3" dot={false} name="Normal" />
+            <Line type="monotone" dataKey="value" stroke={entry.color} strokeWidth={2} dot={false} name={formatParameterLabel(activeParameter)} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
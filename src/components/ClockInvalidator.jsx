@@ -0,0 +1,18 @@
+import { useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+import { useSimulationClock } from '../utils/simulationClock';
+
+/**
+ * ClockInvalidator Component: Requests a frame whenever the simulation clock changes (time jumps,
+ * pause, rate), so the scene stays current while it is rendered on demand.
+ */
+export function ClockInvalidator() {
+  const invalidate = useThree((state) => state.invalidate);
+  const clock = useSimulationClock();
+
+  useEffect(() => {
+    invalidate();
+  }, [clock, invalidate]);
+
+  return null;
+}
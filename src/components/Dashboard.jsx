@@ -0,0 +1,595 @@
+import { useRef, useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Eye, Loader2, Activity, Zap, AlertCircle, Download } from 'lucide-react';
+import { formatDisplayDate } from '../utils/formatter';
+import { downloadFile } from '../utils/download';
+import { buildExportMetadata, seriesToCSV, seriesToJSON } from '../utils/exportData';
+import { resolveDateRange } from '../utils/dateRange';
+import { aggregateSeries, chooseGranularity } from '../utils/aggregate';
+import { getProvider, listProviders, loadSeries } from '../utils/providers';
+import { alignDaily, getCompleteness, getLatestValue, interpolateGaps, listDays } from '../utils/timeSeries';
+import { getClimatologyStats, loadClimatology } from '../utils/climatology';
+import { SOLAR_SERIES, toDailyInsolation, toDailyIrradiance } from '../utils/solar';
+import { PARAMETER_CATALOG, formatParameterLabel, roundValue } from '../utils/parameters';
+import { ChartExportButtons } from './ChartExportButtons';
+import { ClimatologyChart } from './ClimatologyChart';
+import { DateRangePicker } from './DateRangePicker';
+import { DiurnalProfile } from './DiurnalProfile';
+import { LocationComparison } from './LocationComparison';
+import { MetricCard } from './MetricCard';
+import { ParameterSelector } from './ParameterSelector';
+import { PassPredictions } from './PassPredictions';
+import { SolarRadiationCard } from './SolarRadiationCard';
+import { SwathCoverage } from './SwathCoverage';
+
+/**
+ * buildDashboardData: Turns normalized provider series into the dashboard's card and chart data.
+ * Every day of the range is kept; gaps stay null (so the charts break there) unless `fillGaps` is set.
+ * @param {object} result - Response of loadSeries() plus the resolved `range` and `selectedIds`.
+ * @param {object} options - Options.
+ * @param {boolean} options.fillGaps - Linearly interpolate short gaps.
+ * @returns {object} Card values, chart rows, solar radiation summary (with the source of each series
+ *   and its raw hourly data), completeness per variable, request failures per variable, exportable
+ *   daily series and cache metadata.
+ */
+function buildDashboardData({ series, meta, errors, range, selectedIds }, { fillGaps }) {
+  const availableIds = selectedIds.filter(id => series[id]);
+  if (availableIds.length === 0) {
+    throw new Error(errors[0]?.message || 'No valid data available for this location');
+  }
+
+  // Align every series on the full day axis; completeness is measured before any interpolation.
+  const days = listDays(range.startDate, range.endDate);
+  const completeness = {};
+  const prepare = (key, item) => {
+    const aligned = alignDaily(item, days);
+    completeness[key] = getCompleteness(aligned);
+    return fillGaps ? interpolateGaps(aligned) : aligned;
+  };
+  const daily = Object.fromEntries(availableIds.map(id => [id, prepare(id, series[id])]));
+  if (availableIds.every(id => completeness[id] === 0)) {
+    throw new Error('No valid data available for this location');
+  }
+
+  // Solar radiation: daily mean irradiance (W/m²) of each Open-Meteo satellite series. Shortwave
+  // falls back to NASA's ALLSKY_SFC_SW_DWN (converted from kWh/m²/day) when the archive has no data.
+  const solar = SOLAR_SERIES.map(({ id, label, color, fallback }) => {
+    const source = series[id] || (fallback && series[fallback]);
+    if (!source) return { id, label, color, source: null, series: null, hourly: null };
+    return {
+      id,
+      label,
+      color,
+      source: getProvider(source.provider)?.name || source.provider,
+      series: prepare(id, toDailyIrradiance(source)),
+      hourly: source.resolution === 'hourly' ? source : null,
+    };
+  });
+  const solarAvailable = solar.filter(item => item.series);
+  const roundWatts = (value) => (value === null || value === undefined ? null : parseFloat(value.toFixed(1)));
+
+  const dailyData = days.map((day, index) => {
+    const dateKey = day.replace(/-/g, '');
+    const row = {
+      dateKey,
+      date: dateKey.slice(4, 6) + '/' + dateKey.slice(6, 8),
+    };
+    solarAvailable.forEach(item => {
+      row[item.id] = roundWatts(item.series.values[index]);
+    });
+    selectedIds.forEach(id => {
+      const value = daily[id]?.values[index];
+      row[id] = value === null || value === undefined ? null : roundValue(id, value);
+    });
+    return row;
+  });
+
+  // Long ranges are averaged into weekly or monthly points to keep the charts readable.
+  const granularity = chooseGranularity(days.length);
+  const chartData = aggregateSeries(dailyData, granularity, [...selectedIds, ...solarAvailable.map(item => item.id)], roundValue);
+
+  // Variables whose request failed while the others loaded.
+  const failures = {};
+  errors.forEach(({ variables = [], message }) => {
+    variables.forEach((id) => {
+      if (!series[id]) failures[id] = message;
+    });
+  });
+
+  // Cards show the most recent valid value of each variable.
+  const current = {};
+  const currentDates = {};
+  const sources = {};
+  const latestTimes = [];
+  availableIds.forEach(id => {
+    const latest = getLatestValue(daily[id]);
+    current[id] = latest ? roundValue(id, latest.value) : null;
+    currentDates[id] = latest ? latest.time : null;
+    sources[id] = getProvider(series[id].provider)?.name || series[id].provider;
+    if (latest) latestTimes.push(latest.time);
+  });
+
+  return {
+    current,
+    currentDates,
+    // Daily series as displayed, for the climatology chart.
+    daily,
+    days,
+    chart: chartData,
+    latestDate: latestTimes.sort().pop().replace(/-/g, ''),
+    granularity,
+    rangeLabel: range.label,
+    completeness,
+    failures,
+    sources,
+    // Daily series as displayed (after gap filling), for the CSV/JSON export.
+    exportSeries: [
+      ...availableIds.map(id => daily[id]),
+      ...solarAvailable.map(item => ({
+        ...item.series,
+        variable: item.id,
+        label: `${item.label} radiation (daily mean)`,
+        sourceVariable: item.series.variable,
+      })),
+    ],
+    solar: solar.map(({ id, label, color, source, series: item, hourly }) => {
+      const latest = item && getLatestValue(item);
+      return {
+        id,
+        label,
+        color,
+        source,
+        hourly,
+        watts: latest ? roundWatts(latest.value) : null,
+        insolation: latest ? parseFloat(toDailyInsolation(latest.value).toFixed(2)) : null,
+        completeness: completeness[id],
+      };
+    }),
+    meta,
+  };
+}
+
+/**
+ * Dashboard Component: Displays the weather and solar data for the selected location.
+ * Manages data fetching, loading, and error states.
+ * @param {object} props - Component properties.
+ * @param {object} props.location - The selected location object (name, lat, lon).
+ * @param {object[]} props.comparedLocations - Other locations compared with the selected one.
+ * @param {function} props.onRemoveComparedLocation - Removes a location from the comparison.
+ * @param {object} props.dateRange - The selected date range (see utils/dateRange).
+ * @param {function} props.onDateRangeChange - Called with a new date range selection.
+ * @param {string[]} props.parameters - Selected NASA POWER parameter ids (see utils/parameters).
+ * @param {function} props.onParametersChange - Called with the new list of selected parameter ids.
+ */
+export function Dashboard({ location, comparedLocations, onRemoveComparedLocation, dateRange, onDateRangeChange, parameters, onParametersChange }) {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [fillGaps, setFillGaps] = useState(false);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [climatology, setClimatology] = useState({ status: 'idle', normals: null, failures: {}, error: null });
+  const climateChartRef = useRef(null);
+  const energyChartRef = useRef(null);
+
+  const lat = location?.lat;
+  const lon = location?.lon;
+  // Stable string key so a new array with the same parameters does not trigger a refetch.
+  const parameterKey = parameters.join(',');
+  const climateSeries = parameters.filter((id) => PARAMETER_CATALOG[id]?.chart === 'climate');
+  const energySeries = parameters.filter((id) => PARAMETER_CATALOG[id]?.chart === 'energy');
+
+  // Resolve the selected range into concrete dates; invalid selections surface as a dashboard error.
+  const resolvedRange = useMemo(() => {
+    try {
+      return resolveDateRange(dateRange);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [dateRange]);
+
+  // Effect to fetch data whenever the selected coordinates or date range change (renaming/recoloring does not refetch).
+  useEffect(() => {
+    if (lat !== undefined && lon !== undefined) {
+      if (resolvedRange.error) {
+        setError(resolvedRange.error);
+        setLoading(false);
+        return;
+      }
+      setLoading(true);
+      setError(null);
+      // Aborts the requests when the selection changes before they finish.
+      const controller = new AbortController();
+      const selectedIds = parameterKey.split(',');
+      // The solar radiation panel shows the Open-Meteo satellite series, plus their NASA fallbacks.
+      const solarIds = SOLAR_SERIES.flatMap(({ id, fallback }) => (fallback ? [id, fallback] : [id]));
+      const requestedIds = [...new Set([...selectedIds, ...solarIds])];
+      loadSeries({ location: { lat, lon }, range: resolvedRange, variables: requestedIds, signal: controller.signal })
+        .then((response) => {
+          setResult({ ...response, range: resolvedRange, selectedIds });
+          setSelectedDay(null);
+          setLoading(false);
+        })
+        .catch((err) => {
+          if (err.name === 'AbortError') return;
+          setError(err.message || 'Failed to fetch data');
+          setLoading(false);
+        });
+      return () => controller.abort();
+    }
+  }, [lat, lon, resolvedRange, parameterKey]);
+
+  // Normals of the selected parameters, loaded separately so they never delay the cards and
+  // charts; they do not depend on the date range.
+  useEffect(() => {
+    if (lat === undefined || lon === undefined) return;
+    const variables = parameterKey.split(',').filter((id) => PARAMETER_CATALOG[id]);
+    setClimatology({ status: 'loading', normals: null, failures: {}, error: null });
+    const controller = new AbortController();
+    loadClimatology({ location: { lat, lon }, variables, signal: controller.signal })
+      .then(({ normals, errors }) => {
+        const failures = {};
+        errors.forEach(({ variables: failed, message }) => failed.forEach((id) => {
+          failures[id] = message;
+        }));
+        setClimatology({ status: 'ready', normals, failures, error: null });
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setClimatology({ status: 'error', normals: null, failures: {}, error: err.message || 'Failed to fetch climatology' });
+      });
+    return () => controller.abort();
+  }, [lat, lon, parameterKey]);
+
+  // Derive cards and charts from the raw series, so toggling gap filling does not refetch.
+  const data = useMemo(() => {
+    if (!result) return null;
+    try {
+      return buildDashboardData(result, { fillGaps });
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [result, fillGaps]);
+  const displayError = error || data?.error;
+
+  // Base name of exported files, e.g. 'model-earth-lima-peru-2024-10-01_2024-10-07'.
+  const exportName = result && location
+    ? `model-earth-${location.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-` +
+      `${result.range.startDate.toISOString().split('T')[0]}_${result.range.endDate.toISOString().split('T')[0]}`
+    : 'model-earth';
+
+  const handleDataExport = (format) => {
+    const metadata = buildExportMetadata({
+      location,
+      range: result.range,
+      series: data.exportSeries,
+      meta: data.meta,
+      providerNames: Object.fromEntries(listProviders().map(provider => [provider.id, provider.name])),
+      interpolated: fillGaps,
+    });
+    if (format === 'csv') {
+      downloadFile(seriesToCSV(data.exportSeries, metadata), `${exportName}.csv`, 'text/csv');
+    } else {
+      downloadFile(seriesToJSON(data.exportSeries, metadata), `${exportName}.json`, 'application/json');
+    }
+  };
+
+  // Initial state: No location selected.
+  if (!location) {
+    return (
+      <div className="h-full flex items-center justify-center relative overflow-hidden">
+        <div className="absolute inset-0 bg-gradient-to-br from-cyan-500/5 via-transparent to-purple-500/5"></div>
+        <div className="text-center relative z-10 px-4">
+          <div className="relative mb-6">
+            <div className="absolute inset-0 bg-cyan-500/20 blur-3xl rounded-full"></div>
+            <Eye className="w-20 h-20 mx-auto text-cyan-400 relative animate-pulse" />
+          </div>
+          <p className="text-2xl font-bold text-cyan-100 drop-shadow-[0_0_10px_rgba(6,182,212,0.5)] mb-2">
+            SELECT COORDINATES
+          </p>
+          <p className="text-cyan-200 text-sm tracking-wider font-medium">CLICK A MARKER OR ANY POINT ON THE GLOBE TO INITIALIZE SCAN</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Loading state: Data is being fetched.
+  if (loading) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="relative text-center">
+          <div className="absolute inset-0 bg-cyan-500/20 blur-2xl rounded-full animate-pulse"></div>
+          <Loader2 className="w-16 h-16 animate-spin text-cyan-400 relative mb-3" />
+          <p className="text-cyan-100 text-sm relative font-semibold">RETRIEVING SATELLITE DATA...</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Error state: Data fetching failed.
+  if (displayError) {
+    return (
+      <div className="h-full flex items-center justify-center p-6">
+        <div className="bg-red-500/10 border-2 border-red-500/50 backdrop-blur-xl rounded-2xl p-8 max-w-md text-center">
+          <AlertCircle className="w-16 h-16 text-red-400 mx-auto mb-4" />
+          <h3 className="text-xl font-bold text-red-100 mb-2">Error Loading Data</h3>
+          <p className="text-red-200 text-sm mb-4">{displayError}</p>
+          <button 
+            onClick={() => window.location.reload()}
+            className="px-4 py-2 bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg text-red-100 font-semibold transition-all"
+          >
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Main Dashboard content display.
+  return (
+    <div className="h-full overflow-y-auto p-6 space-y-6 relative">
+      <div className="absolute inset-0 pointer-events-none">
+        <div className="absolute top-0 left-0 w-96 h-96 bg-cyan-500/10 rounded-full blur-3xl animate-pulse"></div>
+        <div className="absolute bottom-0 right-0 w-96 h-96 bg-purple-500/10 rounded-full blur-3xl animate-pulse" style={{animationDelay: '1s'}}></div>
+      </div>
+
+      <div className="relative z-10">
+        {/* Header with location and coordinates */}
+        <div className="bg-gradient-to-r from-cyan-500/10 to-purple-500/10 backdrop-blur-xl border-2 border-cyan-500/40 rounded-2xl p-6 mb-6 shadow-lg shadow-cyan-500/20">
+          <div className="flex items-center gap-3 mb-3">
+            <div className="w-3 h-3 bg-cyan-400 rounded-full animate-pulse shadow-lg shadow-cyan-500/50"></div>
+            <h2 className="text-3xl font-bold text-cyan-100 drop-shadow-[0_0_10px_rgba(6,182,212,0.5)]">
+              {location.name}
+            </h2>
+          </div>
+          <div className="flex items-center gap-4 text-cyan-100 text-sm font-mono font-semibold">
+            <span className="bg-cyan-500/30 px-3 py-1 rounded-lg border-2 border-cyan-400/50">
+              LAT: {location.lat.toFixed(4)}°
+            </span>
+            <span className="bg-purple-500/30 px-3 py-1 rounded-lg border-2 border-purple-400/50">
+              LON: {location.lon.toFixed(4)}°
+            </span>
+          </div>
+          <p className="text-xs text-cyan-200 mt-3 flex items-center justify-between font-medium">
+            <span><Activity className="w-3 h-3 inline mr-1" /> NASA POWER | OPEN-METEO SATELLITE</span>
+            <span className="text-cyan-100 font-mono font-semibold">LAST UPDATE: {formatDisplayDate(data?.latestDate)}</span>
+          </p>
+          {data?.meta?.stale && (
+            <p className="mt-3 flex items-center gap-2 text-xs font-semibold text-amber-200 bg-amber-500/20 border border-amber-400/50 rounded-lg px-3 py-2">
+              <AlertCircle className="w-4 h-4 shrink-0" />
+              OFFLINE: SHOWING CACHED DATA FROM {new Date(data.meta.fetchedAt).toLocaleString()}
+            </p>
+          )}
+          {data?.meta?.fromCache && !data.meta.stale && (
+            <p className="mt-2 text-xs font-mono text-cyan-200/70">
+              CACHED · FETCHED {new Date(data.meta.fetchedAt).toLocaleString()}
+            </p>
+          )}
+          <DateRangePicker value={dateRange} onChange={onDateRangeChange} />
+          <label className="mt-3 flex items-center gap-2 text-xs font-mono font-semibold text-cyan-200 cursor-pointer select-none">
+            <input
+              type="checkbox"
+              checked={fillGaps}
+              onChange={(e) => setFillGaps(e.target.checked)}
+              className="accent-cyan-400"
+            />
+            INTERPOLATE SHORT GAPS (≤ 3 DAYS)
+          </label>
+          <div className="mt-3 flex items-center gap-2 text-xs font-mono font-semibold text-cyan-200">
+            <span>EXPORT DATA:</span>
+            {['csv', 'json'].map((format) => (
+              <button
+                key={format}
+                onClick={() => handleDataExport(format)}
+                className="flex items-center gap-1 px-2 py-1 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20 transition-all"
+              >
+                <Download className="w-3 h-3" /> {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Parameter selection, grouped by NASA POWER community */}
+        <ParameterSelector selected={parameters} onChange={onParametersChange} />
+
+        {/* Metrics Grid: one card per selected parameter, plus the solar radiation card */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+          {parameters.map((id) => (
+            <MetricCard
+              key={id}
+              parameterId={id}
+              value={data?.current[id]}
+              completeness={data?.completeness[id]}
+              source={data?.sources[id]}
+              error={data?.failures[id]}
+              climatology={data?.currentDates[id] ? getClimatologyStats(climatology.normals?.[id], data.currentDates[id], data.current[id]) : null}
+              climatologyError={climatology.failures[id]}
+            />
+          ))}
+
+          <SolarRadiationCard items={data?.solar || []} location={location} />
+        </div>
+
+        {/* Climate Chart (Area Chart): temperature, humidity, precipitation... */}
+        {climateSeries.length > 0 && (
+        <div className="bg-gradient-to-br from-cyan-500/10 to-purple-500/10 backdrop-blur-xl p-6 rounded-2xl border-2 border-cyan-500/40 mb-4 shadow-lg shadow-cyan-500/10">
+          <div className="flex items-center gap-2 mb-4">
+            <Zap className="w-5 h-5 text-cyan-300" />
+            <h3 className="text-lg font-bold text-cyan-100 drop-shadow-[0_0_8px_rgba(6,182,212,0.5)]">
+              {data?.rangeLabel} ANALYSIS
+            </h3>
+            {data?.granularity !== 'daily' && (
+              <span className="text-xs font-mono font-semibold text-cyan-200 bg-cyan-500/20 border border-cyan-400/40 rounded-lg px-2 py-0.5">
+                {data?.granularity.toUpperCase()} AVG
+              </span>
+            )}
+            <div className="ml-auto">
+              <ChartExportButtons
+                targetRef={climateChartRef}
+                filename={`${exportName}-analysis`}
+                title={`${location.name} · ${data?.rangeLabel} ANALYSIS`}
+                legend={climateSeries.map((id) => ({ label: formatParameterLabel(id), color: PARAMETER_CATALOG[id].color }))}
+              />
+            </div>
+          </div>
+          <div ref={climateChartRef}>
+            <ResponsiveContainer width="100%" height={220}>
+              <AreaChart data={data?.chart}>
+                {/* Gradient definitions for fill colors */}
+                <defs>
+                  {climateSeries.map((id) => (
+                    <linearGradient key={id} id={`${id}Gradient`} x1="0" y1="0" x2="0" y2="1">
+                      <stop offset="5%" stopColor={PARAMETER_CATALOG[id].color} stopOpacity={0.3}/>
+                      <stop offset="95%" stopColor={PARAMETER_CATALOG[id].color} stopOpacity={0}/>
+                    </linearGradient>
+                  ))}
+                </defs>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                <XAxis dataKey="date" stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+                <YAxis yAxisId="left" stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+                {climateSeries.some((id) => PARAMETER_CATALOG[id].axis === 'right') && (
+                  <YAxis yAxisId="right" orientation="right" stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+                )}
+                <Tooltip 
+                  contentStyle={{ 
+                    backgroundColor: 'rgba(15, 23, 42, 0.95)',
+                    border: '2px solid rgba(6, 182, 212, 0.4)', 
+                    borderRadius: '12px',
+                    backdropFilter: 'blur(8px)',
+                    fontWeight: '600'
+                  }}
+                  labelStyle={{ color: '#06b6d4', fontWeight: 'bold' }}
+                />
+                {climateSeries.map((id) => (
+                  <Area
+                    key={id}
+                    yAxisId={PARAMETER_CATALOG[id].axis || 'left'}
+                    type="monotone"
+                    dataKey={id}
+                    stroke={PARAMETER_CATALOG[id].color}
+                    strokeWidth={2}
+                    fill={`url(#${id}Gradient)`}
+                    name={formatParameterLabel(id)}
+                  />
+                ))}
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        )}
+
+        {/* Wind & Solar Chart (Line Chart) */}
+        <div className="bg-gradient-to-br from-purple-500/10 to-pink-500/10 backdrop-blur-xl p-6 rounded-2xl border-2 border-purple-500/40 shadow-lg shadow-purple-500/10">
+          <div className="flex items-center gap-2 mb-4">
+            <Activity className="w-5 h-5 text-purple-300" />
+            <h3 className="text-lg font-bold text-purple-100 drop-shadow-[0_0_8px_rgba(168,85,247,0.5)]">
+              WIND & SOLAR METRICS
+            </h3>
+            {data?.granularity !== 'daily' && (
+              <span className="text-xs font-mono font-semibold text-purple-200 bg-purple-500/20 border border-purple-400/40 rounded-lg px-2 py-0.5">
+                {data?.granularity.toUpperCase()} AVG
+              </span>
+            )}
+            {data?.granularity === 'daily' && !selectedDay && (
+              <span className="text-xs font-mono text-purple-200/70">CLICK A DAY FOR ITS HOURLY PROFILE</span>
+            )}
+            <div className="ml-auto">
+              <ChartExportButtons
+                targetRef={energyChartRef}
+                filename={`${exportName}-wind-solar`}
+                title={`${location.name} · WIND & SOLAR METRICS`}
+                legend={[
+                  ...energySeries.map((id) => ({ label: formatParameterLabel(id), color: PARAMETER_CATALOG[id].color })),
+                  ...(data?.solar || []).filter((item) => item.source).map((item) => ({ label: `${item.label} (W/m², ${item.source})`, color: item.color })),
+                ]}
+              />
+            </div>
+          </div>
+          <div ref={energyChartRef}>
+            <ResponsiveContainer width="100%" height={200}>
+              {/* Clicking a day opens its hourly profile (daily granularity only, where each point is one day). */}
+              <LineChart
+                data={data?.chart}
+                onClick={(state) => {
+                  const index = state?.activeIndex;
+                  const row = data?.granularity === 'daily' && index !== null && index !== undefined && data.chart[Number(index)];
+                  if (row) setSelectedDay(`${row.dateKey.slice(0, 4)}-${row.dateKey.slice(4, 6)}-${row.dateKey.slice(6, 8)}`);
+                }}
+                style={{ cursor: data?.granularity === 'daily' ? 'pointer' : 'default' }}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                <XAxis dataKey="date" stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+                <YAxis yAxisId="left" stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+                {energySeries.some((id) => PARAMETER_CATALOG[id].axis === 'right') && (
+                  <YAxis yAxisId="right" orientation="right" stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+                )}
+                {/* Solar irradiance gets its own W/m² axis so it does not flatten the wind series. */}
+                {data?.solar.some((item) => item.source) && (
+                  <YAxis yAxisId="solar" orientation="right" stroke="#fde047" unit=" W/m²" width={80} style={{fontSize: '12px', fontWeight: '600'}} />
+                )}
+                <Tooltip 
+                  contentStyle={{ 
+                    backgroundColor: 'rgba(15, 23, 42, 0.95)',
+                    border: '2px solid rgba(168, 85, 247, 0.4)', 
+                    borderRadius: '12px',
+                    backdropFilter: 'blur(8px)',
+                    fontWeight: '600'
+                  }}
+                  labelStyle={{ color: '#a855f7', fontWeight: 'bold' }}
+                />
+                {/* Dots are hidden on dense charts so the lines stay legible. */}
+                {energySeries.map((id) => (
+                  <Line
+                    key={id}
+                    yAxisId={PARAMETER_CATALOG[id].axis || 'left'}
+                    type="monotone"
+                    dataKey={id}
+                    stroke={PARAMETER_CATALOG[id].color}
+                    strokeWidth={3}
+                    dot={data?.chart.length <= 31 && { fill: PARAMETER_CATALOG[id].color, r: 4 }}
+                    name={formatParameterLabel(id)}
+                  />
+                ))}
+                {data?.solar.filter((item) => item.source).map((item) => (
+                  <Line
+                    key={item.id}
+                    yAxisId="solar"
+                    type="monotone"
+                    dataKey={item.id}
+                    stroke={item.color}
+                    strokeWidth={2}
+                    strokeDasharray="6 3"
+                    dot={false}
+                    name={`${item.label} (W/m², ${item.source})`}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          {selectedDay && (
+            <DiurnalProfile day={selectedDay} items={data?.solar || []} lon={location.lon} onClose={() => setSelectedDay(null)} />
+          )}
+        </div>
+
+        {/* Selected range against the location's monthly normals */}
+        {data && !data.error && <ClimatologyChart parameters={parameters} data={data} climatology={climatology} />}
+
+        {/* Side-by-side comparison with the shift-clicked locations */}
+        {comparedLocations.length > 0 && result ? (
+          <LocationComparison
+            locations={[location, ...comparedLocations]}
+            range={result.range}
+            parameters={parameters}
+            fillGaps={fillGaps}
+            onRemove={onRemoveComparedLocation}
+          />
+        ) : (
+          <p className="mt-4 text-xs font-mono text-cyan-200/60">SHIFT-CLICK OTHER LOCATIONS TO COMPARE THEM WITH {location.name.toUpperCase()}</p>
+        )}
+
+        {/* Upcoming satellite passes over the location */}
+        <PassPredictions location={location} />
+        <SwathCoverage location={location} />
+      </div>
+    </div>
+  );
+}
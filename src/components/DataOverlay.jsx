@@ -0,0 +1,39 @@
+import { useEffect, useMemo } from 'react';
+import * as THREE from 'three';
+import { vector3ToLatLon } from '../utils/geo';
+import { getGridValue, getOverlay, renderGridTexture } from '../utils/overlays';
+import { setOverlayHover, useOverlay } from '../utils/overlayStore';
+
+/**
+ * DataOverlay Component: The loaded overlay grid as a semi-transparent equirectangular texture
+ * over the globe (Earth-fixed frame), reporting the value under the pointer to the overlay store.
+ */
+export function DataOverlay() {
+  const { id, opacity, grid, gridId } = useOverlay();
+  const overlay = getOverlay(gridId);
+
+  const texture = useMemo(() => {
+    if (!grid || !overlay) return null;
+    const canvasTexture = new THREE.CanvasTexture(renderGridTexture(grid, overlay));
+    canvasTexture.colorSpace = THREE.SRGBColorSpace;
+    return canvasTexture;
+  }, [grid, overlay]);
+
+  useEffect(() => () => texture?.dispose(), [texture]);
+
+  if (!texture || id !== gridId) return null;
+
+  const handlePointerMove = (e) => {
+    // Undo the Earth group's rotation to read the grid at the surface point.
+    const local = e.object.worldToLocal(e.point.clone());
+    const { lat, lon } = vector3ToLatLon(local.x, local.y, local.z);
+    setOverlayHover({ lat, lon, value: getGridValue(grid, lat, lon) });
+  };
+
+  return (
+    <mesh onPointerMove={handlePointerMove} onPointerOut={() => setOverlayHover(null)}>
+      <sphereGeometry args={[2.003, 128, 64]} />
+      <meshBasicMaterial map={texture} transparent opacity={opacity} depthWrite={false} />
+    </mesh>
+  );
+}
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { formatDateWithoutHyphen } from '../utils/formatter';
+import { DATE_RANGE_PRESETS, resolveDateRange, getLatestAvailableDate } from '../utils/dateRange';
+
+/**
+ * DateRangePicker Component: Preset buttons plus month and custom start/end inputs.
+ * Only valid selections are passed to `onChange`; problems are shown inline.
+ * @param {object} props - Component properties.
+ * @param {object} props.value - The current date range selection.
+ * @param {function} props.onChange - Called with the new date range selection.
+ */
+export function DateRangePicker({ value, onChange }) {
+  const latest = formatDateWithoutHyphen(getLatestAvailableDate());
+  const [draft, setDraft] = useState(() => ({
+    preset: value.preset,
+    month: value.month || latest.slice(0, 7),
+    start: value.start || '',
+    end: value.end || latest,
+  }));
+  const [pickerError, setPickerError] = useState(null);
+
+  // Validate a selection before handing it to the dashboard.
+  const apply = (range) => {
+    try {
+      resolveDateRange(range);
+      setPickerError(null);
+      onChange(range);
+    } catch (err) {
+      setPickerError(err.message);
+    }
+  };
+
+  const handlePreset = (preset) => {
+    setDraft({ ...draft, preset });
+    if (preset === 'month') apply({ preset, month: draft.month });
+    else if (preset !== 'custom') apply({ preset });
+  };
+
+  return (
+    <div className="mt-4 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {DATE_RANGE_PRESETS.map((preset) => (
+          <button
+            key={preset.id}
+            onClick={() => handlePreset(preset.id)}
+            className={`px-3 py-1 rounded-lg text-xs font-mono font-semibold border-2 transition-all ${
+              draft.preset === preset.id
+                ? 'bg-cyan-500/40 border-cyan-300/70 text-cyan-50'
+                : 'bg-cyan-500/10 border-cyan-500/30 text-cyan-200 hover:bg-cyan-500/20'
+            }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      {draft.preset === 'month' && (
+        <input
+          type="month"
+          value={draft.month}
+          max={latest.slice(0, 7)}
+          onChange={(e) => {
+            setDraft({ ...draft, month: e.target.value });
+            apply({ preset: 'month', month: e.target.value });
+          }}
+          className="bg-gray-950/60 border border-cyan-500/40 rounded-lg px-2 py-1 text-xs font-mono text-cyan-100 [color-scheme:dark]"
+        />
+      )}
+      {draft.preset === 'custom' && (
+        <form
+          className="flex flex-wrap items-center gap-2 text-xs font-mono text-cyan-100"
+          onSubmit={(e) => {
+            e.preventDefault();
+            apply({ preset: 'custom', start: draft.start, end: draft.end });
+          }}
+        >
+          <input
+            type="date"
+            value={draft.start}
+            max={latest}
+            onChange={(e) => setDraft({ ...draft, start: e.target.value })}
+            className="bg-gray-950/60 border border-cyan-500/40 rounded-lg px-2 py-1 [color-scheme:dark]"
+          />
+          <span>→</span>
+          <input
+            type="date"
+            value={draft.end}
+            max={latest}
+            onChange={(e) => setDraft({ ...draft, end: e.target.value })}
+            className="bg-gray-950/60 border border-cyan-500/40 rounded-lg px-2 py-1 [color-scheme:dark]"
+          />
+          <button type="submit" className="px-3 py-1 rounded-lg border-2 border-cyan-400/50 bg-cyan-500/20 hover:bg-cyan-500/30 font-semibold">
+            APPLY
+          </button>
+        </form>
+      )}
+      {pickerError && <p className="text-xs text-red-300">{pickerError}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { X, Clock } from 'lucide-react';
+import { formatDisplayDate } from '../utils/formatter';
+import { getDiurnalMean, getHourlyProfile } from '../utils/timeSeries';
+import { formatHours, getSolarNoon, getUtcOffset } from '../utils/solar';
+
+/**
+ * DiurnalProfile Component: Hourly radiation profile of one day, drawn over the average daily
+ * cycle of the whole selected range, with local solar noon marked. Hours are on the clock of the
+ * series' time zone (the location's local time for the Open-Meteo satellite archive).
+ * @param {object} props - Component properties.
+ * @param {string} props.day - ISO date of the selected day.
+ * @param {object[]} props.items - Solar summary built by buildDashboardData() (series with `hourly` data).
+ * @param {number} props.lon - Longitude of the location, for the solar noon.
+ * @param {function} props.onClose - Called when the drill-down is closed.
+ */
+export function DiurnalProfile({ day, items, lon, onClose }) {
+  const hourlyItems = items.filter((item) => item.hourly);
+  const [seriesId, setSeriesId] = useState(hourlyItems[0]?.id);
+  const active = hourlyItems.find((item) => item.id === seriesId) || hourlyItems[0];
+
+  const chartData = useMemo(() => {
+    if (!active) return [];
+    const profile = getHourlyProfile(active.hourly, day);
+    const mean = getDiurnalMean(active.hourly);
+    const round = (value) => (value === null ? null : parseFloat(value.toFixed(1)));
+    return profile.map((value, hour) => ({ hour, day: round(value), mean: round(mean[hour]) }));
+  }, [active, day]);
+  const utcOffset = getUtcOffset(day, active?.hourly.timeZone || 'UTC');
+  const solarNoon = getSolarNoon(day, lon, utcOffset.hours);
+
+  return (
+    <div className="mt-4 pt-4 border-t-2 border-purple-500/30">
+      <div className="flex items-center gap-2 mb-3 flex-wrap">
+        <Clock className="w-4 h-4 text-purple-300" />
+        <h4 className="text-sm font-bold text-purple-100 tracking-wider">
+          HOURLY PROFILE · {formatDisplayDate(day.replace(/-/g, ''))}
+        </h4>
+        <span className="text-xs font-mono text-yellow-200">SOLAR NOON {formatHours(solarNoon)} {utcOffset.label}</span>
+        <button
+          onClick={onClose}
+          className="ml-auto p-1 rounded-lg text-purple-200 hover:bg-purple-500/20 transition-all"
+          aria-label="Close hourly profile"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {!active ? (
+        <p className="text-xs text-purple-200">No hourly satellite data is available for this location.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {hourlyItems.map((item) => (
+              <button
+                key={item.id}
+                onClick={() => setSeriesId(item.id)}
+                className={`px-2 py-1 rounded-lg border text-xs font-semibold transition-all ${
+                  item.id === active.id ? 'bg-purple-500/30 border-purple-400/60 text-purple-100' : 'border-purple-500/30 text-purple-200/70 hover:bg-purple-500/10'
+                }`}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+              <XAxis
+                dataKey="hour"
+                type="number"
+                domain={[0, 24]}
+                ticks={[0, 3, 6, 9, 12, 15, 18, 21, 24]}
+                tickFormatter={(hour) => `${String(hour).padStart(2, '0')}h`}
+                stroke="#94a3b8"
+                style={{fontSize: '12px', fontWeight: '600'}}
+              />
+              <YAxis unit=" W/m²" width={80} stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: 'rgba(15, 23, 42, 0.95)',
+                  border: '2px solid rgba(168, 85, 247, 0.4)',
+                  borderRadius: '12px',
+                  fontWeight: '600'
+                }}
+                labelStyle={{ color: '#a855f7', fontWeight: 'bold' }}
+                labelFormatter={(hour) => `${String(hour).padStart(2, '0')}:00 ${utcOffset.label}`}
+              />
+              <ReferenceLine x={solarNoon} stroke="#fde047" strokeDasharray="4 4" label={{ value: 'SOLAR NOON', fill: '#fde047', fontSize: 10, position: 'top' }} />
+              <Line type="monotone" dataKey="mean" stroke="#94a3b8" strokeWidth={2} strokeDasharray="6 3" dot={false} name="Range average (W/m²)" />
+              <Line type="monotone" dataKey="day" stroke={active.color} strokeWidth={3} dot={{ fill: active.color, r: 3 }} name={`${active.label} (W/m²)`} />
+            </LineChart>
+          </ResponsiveContainer>
+          <p className="mt-2 text-[10px] font-mono text-purple-200/60">
+            NON-INSTANT VALUES ARE MEANS OVER THE PRECEDING HOUR · SOURCE: {active.source.toUpperCase()}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
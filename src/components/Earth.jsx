@@ -0,0 +1,201 @@
+import { useRef, Suspense } from 'react';
+import { useFrame, useLoader } from '@react-three/fiber';
+import { Sphere } from '@react-three/drei';
+import * as THREE from 'three';
+import { formatCoordinates } from '../utils/formatter';
+import { vector3ToLatLon } from '../utils/geo';
+import { useLayers } from '../utils/layerStore';
+import { useQuality } from '../utils/qualityStore';
+import { getSimulationTime } from '../utils/simulationClock';
+import { getEarthRotationAngle } from '../utils/astronomy';
+import { CUSTOM_LOCATION_COLOR } from '../utils/locationStore';
+import { AssetErrorBoundary } from './AssetErrorBoundary';
+import { DataOverlay } from './DataOverlay';
+import { LocationMarker } from './LocationMarker';
+import { NightSide } from './NightSide';
+import { GroundTrack, OrbitPath, NadirLine } from './OrbitTracks';
+import { Satellite } from './Satellite';
+import { SwathCone, SwathTrail } from './Swath';
+import { Terminator } from './Terminator';
+import { useSatellites } from './useSatellites';
+
+const EARTH_TEXTURE = `${import.meta.env.BASE_URL}assets/textures/3d-earth-model-relief.jpg`;
+
+/**
+ * EarthMaterial Component: Material of the globe surface; without a map it is the plain ocean-blue
+ * fallback used while the texture loads or when it fails.
+ * @param {object} props - Component properties.
+ * @param {THREE.Texture} [props.map] - Surface texture.
+ */
+function EarthMaterial({ map = null }) {
+  return (
+    <meshPhongMaterial
+      map={map}
+      color={map ? '#ffffff' : '#1e4a6e'}
+      emissive="#64ffda"
+      emissiveIntensity={0.2}
+      shininess={100}
+      transparent
+      opacity={0.9}
+      bumpScale={0.05}
+    />
+  );
+}
+
+/**
+ * TexturedEarthMaterial Component: Loads the Earth texture map (suspends until it is loaded).
+ */
+function TexturedEarthMaterial() {
+  const colorMap = useLoader(THREE.TextureLoader, EARTH_TEXTURE);
+  return <EarthMaterial map={colorMap} />;
+}
+
+/**
+ * Earth Component: Renders the Earth sphere, its glow, location markers, and satellites.
+ * It handles the Earth's rotation animation.
+ * @param {object} props - Component properties.
+ * @param {object[]} props.locations - Saved locations to render as markers.
+ * @param {function} props.onLocationClick - Handler for location marker clicks and globe clicks.
+ * @param {object} props.selectedLocation - The currently selected location object.
+ * @param {object[]} props.comparedLocations - Locations compared with the selected one (highlighted too).
+ * @param {number|null} props.selectedSatelliteId - NORAD id of the selected satellite.
+ * @param {function} props.onSatelliteSelect - Handler receiving the NORAD id of a clicked satellite.
+ */
+export function Earth({ locations, onLocationClick, selectedLocation, comparedLocations, selectedSatelliteId, onSatelliteSelect }) {
+  const meshRef = useRef();
+  const glowRef = useRef();
+
+  // Converts a click on the globe surface into a temporary location.
+  const handleGlobeClick = (e) => {
+    // Ignore clicks that were really drags of the OrbitControls.
+    if (e.delta > 2) return;
+    e.stopPropagation();
+    // Undo the group's rotation so the hit point lines up with the texture coordinates.
+    const localPoint = meshRef.current.worldToLocal(e.point.clone());
+    const { lat, lon } = vector3ToLatLon(localPoint.x, localPoint.y, localPoint.z);
+    onLocationClick({
+      name: formatCoordinates(lat, lon),
+      lat,
+      lon,
+      color: CUSTOM_LOCATION_COLOR,
+      district: null,
+      isCustom: true,
+    }, { additive: e.shiftKey });
+  };
+
+  // Selected or compared locations that are not saved get their own temporary markers.
+  const customLocations = [selectedLocation, ...comparedLocations].filter((loc) => loc?.isCustom);
+
+  // SGP4 orbits for every loaded element set, matched with their catalog entry.
+  const { orbits, getStyle } = useSatellites();
+  const layers = useLayers();
+  const sphereSegments = useQuality().settings.sphereSegments;
+
+  // Animation loop using useFrame (runs every frame)
+  useFrame((state) => {
+    // Rotate the Earth to the simulation time's sidereal angle, so the scene's world frame is
+    // inertial (+X towards the vernal equinox) and the sun and satellites line up with it.
+    if (meshRef.current) {
+      meshRef.current.rotation.y = getEarthRotationAngle(getSimulationTime());
+    }
+    // Synchronize the glow rotation and animate its scale for a pulse effect.
+    if (glowRef.current) {
+      glowRef.current.rotation.y = meshRef.current.rotation.y;
+      const scale = 1 + Math.sin(state.clock.elapsedTime * 2) * 0.02;
+      glowRef.current.scale.setScalar(scale);
+    }
+  });
+
+  return (
+    <>
+    <group ref={meshRef}>
+      {/* Outer atmosphere glow (rendered from inside out - BackSide) */}
+      <Sphere ref={glowRef} args={[2.3, sphereSegments, sphereSegments / 2]}>
+        <meshBasicMaterial color="#06b6d4" transparent opacity={0.1} side={THREE.BackSide} />
+      </Sphere>
+      
+      {/* Main Earth sphere with texture and lighting properties */}
+      <mesh onClick={handleGlobeClick}>
+        <sphereGeometry args={[2, sphereSegments, sphereSegments / 2]} />
+        {/* The texture loads on its own, so the globe (untextured until then) never waits for it */}
+        <AssetErrorBoundary url={EARTH_TEXTURE} fallback={<EarthMaterial />}>
+          <Suspense fallback={<EarthMaterial />}>
+            <TexturedEarthMaterial />
+          </Suspense>
+        </AssetErrorBoundary>
+      </mesh>
+      
+      {/* Inner atmosphere/wireframe effect (BackSide rendering) */}
+      <Sphere args={[2.05, sphereSegments, sphereSegments / 2]}>
+        <meshBasicMaterial color="#06b6d4" transparent opacity={0.15} side={THREE.BackSide} />
+      </Sphere>
+      
+      {/* Map location data to LocationMarker components */}
+      {locations.map((loc) => (
+        <LocationMarker
+          key={loc.id}
+          location={loc}
+          onClick={onLocationClick}
+          isSelected={selectedLocation?.id === loc.id || comparedLocations.some((compared) => compared.id === loc.id)}
+        />
+      ))}
+
+      {/* Temporary markers for arbitrary points picked on the globe */}
+      {customLocations.map((loc) => (
+        <LocationMarker
+          key={loc.name}
+          location={loc}
+          onClick={onLocationClick}
+          isSelected
+        />
+      ))}
+
+      {/* Render all satellites at their propagated positions (Earth-fixed, so they rotate with the globe group) */}
+      {orbits.map((orbit) => (
+        <Satellite
+          key={orbit.noradId}
+          orbit={orbit}
+          satellite={getStyle(orbit)}
+          isSelected={selectedSatelliteId === orbit.noradId}
+          onSelect={onSatelliteSelect}
+        />
+      ))}
+
+      {/* Optional Earth-fixed layers: ground tracks, nadir lines and instrument swaths */}
+      {layers.groundTracks && orbits.map((orbit) => (
+        <GroundTrack key={orbit.noradId} orbit={orbit} color={getStyle(orbit).color} orbitCount={layers.trackOrbits} />
+      ))}
+      {layers.nadirLines && orbits.map((orbit) => (
+        <NadirLine key={orbit.noradId} orbit={orbit} color={getStyle(orbit).color} />
+      ))}
+      {layers.swaths && orbits.map((orbit) => {
+        const { color, swath } = getStyle(orbit);
+        if (!swath) return null;
+        return (
+          <group key={orbit.noradId}>
+            <SwathCone orbit={orbit} color={color} widthKm={swath.widthKm} />
+            {layers.swathHours > 0 && <SwathTrail orbit={orbit} color={color} widthKm={swath.widthKm} hours={layers.swathHours} />}
+          </group>
+        );
+      })}
+
+      {/* Gridded data overlay (temperature, radiation, cloud...) */}
+      <DataOverlay />
+
+      {/* Night side shading (with optional city lights) and the terminator at the simulation time */}
+      {layers.nightShade && <NightSide showLights={layers.nightLights} segments={sphereSegments} />}
+      {layers.terminator && <Terminator />}
+
+      {/* Fine wireframe layer for subtle detail */}
+      <Sphere args={[2.01, sphereSegments / 2, sphereSegments / 2]}>
+        <meshBasicMaterial color="#06b6d4" wireframe transparent opacity={0.1} />
+      </Sphere>
+    </group>
+
+    {/* Orbit paths are closed ellipses in the inertial frame, so they live outside the rotating group. */}
+    {layers.orbitPaths && orbits.map((orbit) => (
+      <OrbitPath key={orbit.noradId} orbit={orbit} color={getStyle(orbit).color} />
+    ))}
+    </>
+  );
+}
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { Layers } from 'lucide-react';
+import { LAYERS, setLayer, useLayers } from '../utils/layerStore';
+import { QUALITY_MODES, QUALITY_TIERS, setQualityMode, useQuality } from '../utils/qualityStore';
+
+/**
+ * LayerPanel Component: Toggles for the optional globe layers defined in utils/layerStore, and
+ * the render quality (utils/qualityStore): a fixed tier, or automatic from the measured frame rate.
+ */
+export function LayerPanel() {
+  const layers = useLayers();
+  const quality = useQuality();
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="w-64 bg-gray-900/90 backdrop-blur-xl border-2 border-cyan-500/40 rounded-2xl shadow-2xl shadow-cyan-500/30 text-cyan-100 text-xs">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 px-4 py-2 font-mono font-semibold"
+      >
+        <Layers className="w-4 h-4 text-cyan-300" />
+        LAYERS
+      </button>
+      {isOpen && (
+        <div className="px-4 pb-3 pt-2 space-y-2 border-t border-cyan-500/30">
+          {LAYERS.map((layer) => (
+            layer.type === 'toggle' ? (
+              <label key={layer.id} className="flex items-center gap-2 cursor-pointer select-none">
+                <input
+                  type="checkbox"
+                  checked={layers[layer.id]}
+                  onChange={(e) => setLayer(layer.id, e.target.checked)}
+                  className="accent-cyan-400"
+                />
+                {layer.label}
+              </label>
+            ) : (
+              <label key={layer.id} className="flex items-center justify-between gap-2">
+                <span>{layer.label}</span>
+                <select
+                  value={layers[layer.id]}
+                  onChange={(e) => setLayer(layer.id, Number(e.target.value))}
+                  className="bg-gray-800/80 border border-cyan-500/40 rounded-lg px-2 py-1"
+                >
+                  {layer.options.map((option) => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </label>
+            )
+          ))}
+          <label className="flex items-center justify-between gap-2 border-t border-cyan-500/30 pt-2">
+            <span>
+              Render quality
+              {quality.mode === 'auto' && (
+                <span className="block text-cyan-200/60 font-mono">
+                  {QUALITY_TIERS[quality.tier].label.toUpperCase()}{quality.fps !== null ? ` · ${quality.fps} FPS` : ''}
+                </span>
+              )}
+            </span>
+            <select
+              value={quality.mode}
+              onChange={(e) => setQualityMode(e.target.value)}
+              className="bg-gray-800/80 border border-cyan-500/40 rounded-lg px-2 py-1"
+            >
+              {QUALITY_MODES.map((mode) => (
+                <option key={mode} value={mode}>{mode === 'auto' ? 'Auto' : QUALITY_TIERS[mode].label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import { useProgress } from '@react-three/drei';
+import { Loader2 } from 'lucide-react';
+
+/**
+ * Loader Component: Non-blocking overlay listing the loading progress of the 3D assets (models
+ * and textures), counted per asset by three's loading manager, with the file being loaded.
+ */
+export function Loader() {
+  const { active, loaded, total, item } = useProgress();
+  if (!active || total === 0) return null;
+  const percent = Math.round((loaded / total) * 100);
+  const fileName = item ? decodeURIComponent(item.split('/').pop()) : '';
+
+  return (
+    <div className="w-72 bg-gray-900/90 backdrop-blur-xl border-2 border-cyan-500/40 rounded-2xl shadow-2xl shadow-cyan-500/30 px-4 py-3 text-xs font-mono text-cyan-100 pointer-events-none">
+      <p className="flex items-center gap-2 font-semibold">
+        <Loader2 className="w-4 h-4 animate-spin text-cyan-300" />
+        LOADING 3D ASSETS · {loaded} / {total}
+      </p>
+      <div className="mt-2 h-1 bg-gray-700 rounded-full overflow-hidden">
+        <div className="h-full bg-cyan-400 transition-all duration-100 ease-linear" style={{ width: `${percent}%` }} />
+      </div>
+      {fileName && <p className="mt-1 truncate text-cyan-200/70">{fileName}</p>}
+    </div>
+  );
+}
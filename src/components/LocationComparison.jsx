@@ -0,0 +1,193 @@
+import { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Loader2, MapPin, X } from 'lucide-react';
+import { aggregateSeries, chooseGranularity } from '../utils/aggregate';
+import { loadSeries } from '../utils/providers';
+import { alignDaily, getSummaryStats, interpolateGaps, listDays } from '../utils/timeSeries';
+import { formatAnomaly, formatParameterLabel, formatParameterValue, roundValue } from '../utils/parameters';
+
+/**
+ * Line colors of the compared locations, in selection order (the selected location first).
+ * Saved locations share a default marker color, so the comparison uses its own palette.
+ */
+const COMPARISON_COLORS = ['#22d3ee', '#f472b6', '#a3e635', '#fb923c', '#a78bfa', '#facc15', '#f87171', '#34d399'];
+
+/**
+ * LocationComparison Component: Compares several locations over the dashboard's range: one chart
+ * per parameter with a line per location, and a table of summary statistics (mean, min, max and
+ * anomaly, the difference between a location's mean and the mean of all compared locations).
+ * @param {object} props - Component properties.
+ * @param {object[]} props.locations - Locations to compare; the first one is the dashboard's location.
+ * @param {object} props.range - Resolved date range (see utils/dateRange).
+ * @param {string[]} props.parameters - Selected parameter ids.
+ * @param {boolean} props.fillGaps - Linearly interpolate short gaps in the chart.
+ * @param {function} props.onRemove - Removes a compared location.
+ */
+export function LocationComparison({ locations, range, parameters, fillGaps, onRemove }) {
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [chartParameter, setChartParameter] = useState(parameters[0]);
+  const activeParameter = parameters.includes(chartParameter) ? chartParameter : parameters[0];
+
+  // Stable keys so re-renders with equal locations or parameters do not refetch.
+  const locationKey = locations.map((loc) => `${loc.lat},${loc.lon}`).join(';');
+  const parameterKey = parameters.join(',');
+
+  // Every location is requested again; the primary one comes straight from the response cache.
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    const controller = new AbortController();
+    const variables = parameterKey.split(',');
+    Promise.all(locationKey.split(';').map((key) => {
+      const [lat, lon] = key.split(',').map(Number);
+      return loadSeries({ location: { lat, lon }, range, variables, signal: controller.signal });
+    }))
+      .then((responses) => {
+        setResults(responses);
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setError(err.message || 'Failed to fetch data');
+        setLoading(false);
+      });
+    return () => controller.abort();
+  }, [locationKey, parameterKey, range]);
+
+  const days = useMemo(() => listDays(range.startDate, range.endDate), [range]);
+
+  // Daily series aligned on the range, per location then per parameter.
+  const aligned = useMemo(() => (results || []).map((response) => Object.fromEntries(
+    parameters.filter((id) => response.series[id]).map((id) => [id, alignDaily(response.series[id], days)]),
+  )), [results, parameters, days]);
+
+  const stats = useMemo(() => parameters.map((id) => {
+    const perLocation = aligned.map((byParameter) => (byParameter[id] ? getSummaryStats(byParameter[id]) : null));
+    const means = perLocation.filter((item) => item?.mean !== null && item?.mean !== undefined).map((item) => item.mean);
+    const groupMean = means.length > 0 ? means.reduce((sum, value) => sum + value, 0) / means.length : null;
+    return {
+      id,
+      perLocation: perLocation.map((item) => (item && item.mean !== null
+        ? { ...item, anomaly: groupMean === null ? null : item.mean - groupMean }
+        : null)),
+    };
+  }), [aligned, parameters]);
+
+  const granularity = chooseGranularity(days.length);
+  const chart = useMemo(() => {
+    const fields = aligned.map((_, index) => `location${index}`);
+    const rows = days.map((day, dayIndex) => {
+      const row = { dateKey: day.replace(/-/g, '') };
+      aligned.forEach((byParameter, index) => {
+        const item = byParameter[activeParameter];
+        const series = item && fillGaps ? interpolateGaps(item) : item;
+        row[fields[index]] = series ? series.values[dayIndex] : null;
+      });
+      return row;
+    });
+    return aggregateSeries(rows, granularity, fields, (_, value) => roundValue(activeParameter, value));
+  }, [aligned, days, activeParameter, fillGaps, granularity]);
+
+  const format = (id, value) => (value === null || value === undefined ? '—' : formatParameterValue(id, roundValue(id, value)));
+
+  return (
+    <div className="bg-gradient-to-br from-cyan-500/10 to-purple-500/10 backdrop-blur-xl p-6 rounded-2xl border-2 border-cyan-500/40 mt-4 shadow-lg shadow-cyan-500/10">
+      <div className="flex items-center gap-2 mb-3 flex-wrap">
+        <MapPin className="w-5 h-5 text-cyan-300" />
+        <h3 className="text-lg font-bold text-cyan-100 drop-shadow-[0_0_8px_rgba(6,182,212,0.5)]">LOCATION COMPARISON</h3>
+        <select
+          value={activeParameter}
+          onChange={(e) => setChartParameter(e.target.value)}
+          className="ml-auto bg-gray-800/80 border border-cyan-500/40 rounded-lg px-2 py-1 text-xs font-mono font-semibold text-cyan-100"
+          aria-label="Compared parameter"
+        >
+          {parameters.map((id) => <option key={id} value={id}>{formatParameterLabel(id)}</option>)}
+        </select>
+      </div>
+      <div className="flex flex-wrap gap-2 mb-4 text-xs font-mono font-semibold">
+        {locations.map((loc, index) => (
+          <span key={`${loc.lat},${loc.lon}`} className="flex items-center gap-1 px-2 py-1 rounded-lg border border-cyan-500/30 text-cyan-100">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: COMPARISON_COLORS[index % COMPARISON_COLORS.length] }}></span>
+            {loc.name}
+            {index > 0 && (
+              <button onClick={() => onRemove(loc)} className="ml-1 hover:text-red-300" title="Remove from comparison">
+                <X className="w-3 h-3" />
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+
+      {loading && (
+        <p className="flex items-center gap-2 text-sm text-cyan-200"><Loader2 className="w-4 h-4 animate-spin" /> LOADING COMPARED LOCATIONS...</p>
+      )}
+      {error && <p className="text-sm text-red-300">{error}</p>}
+      {!loading && !error && (
+        <>
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={chart}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+              <XAxis dataKey="date" stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+              <YAxis stroke="#94a3b8" style={{fontSize: '12px', fontWeight: '600'}} />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: 'rgba(15, 23, 42, 0.95)',
+                  border: '2px solid rgba(6, 182, 212, 0.4)',
+                  borderRadius: '12px',
+                  fontWeight: '600'
+                }}
+                labelStyle={{ color: '#06b6d4', fontWeight: 'bold' }}
+              />
+              {locations.map((loc, index) => (
+                <Line
+                  key={`${loc.lat},${loc.lon}`}
+                  type="monotone"
+                  dataKey={`location${index}`}
+                  stroke={COMPARISON_COLORS[index % COMPARISON_COLORS.length]}
+                  strokeWidth={2}
+                  dot={false}
+                  name={loc.name}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          {granularity !== 'daily' && (
+            <p className="text-[10px] font-mono text-cyan-200/60 mt-1">{granularity.toUpperCase()} AVERAGES OF {formatParameterLabel(activeParameter).toUpperCase()}</p>
+          )}
+
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-xs font-mono text-cyan-100">
+              <thead className="text-cyan-200/70 text-left">
+                <tr>
+                  <th className="py-1 pr-2">PARAMETER</th>
+                  <th className="py-1 pr-2">LOCATION</th>
+                  <th className="py-1 pr-2 text-right">MEAN</th>
+                  <th className="py-1 pr-2 text-right">MIN</th>
+                  <th className="py-1 pr-2 text-right">MAX</th>
+                  <th className="py-1 text-right" title="Mean minus the mean of all compared locations">ANOMALY</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.map(({ id, perLocation }) => locations.map((loc, index) => (
+                  <tr key={`${id}-${index}`} className={index === 0 ? 'border-t border-cyan-500/30' : ''}>
+                    <td className="py-1 pr-2 text-cyan-200/80">{index === 0 ? formatParameterLabel(id) : ''}</td>
+                    <td className="py-1 pr-2">
+                      <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: COMPARISON_COLORS[index % COMPARISON_COLORS.length] }}></span>
+                      {loc.name}
+                    </td>
+                    <td className="py-1 pr-2 text-right">{format(id, perLocation[index]?.mean)}</td>
+                    <td className="py-1 pr-2 text-right">{format(id, perLocation[index]?.min)}</td>
+                    <td className="py-1 pr-2 text-right">{format(id, perLocation[index]?.max)}</td>
+                    <td className="py-1 text-right">{formatAnomaly(id, perLocation[index]?.anomaly)}</td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useRef, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import { latLonToVector3 } from '../utils/geo';
+
+/**
+ * LocationMarker Component: Renders a spherical marker for a specific location on the Earth.
+ * Handles interactive effects (hover, select) and position calculation.
+ */
+export function LocationMarker({ location, onClick, isSelected }) {
+  const meshRef = useRef();
+  const ringRef = useRef();
+  const [hovered, setHovered] = useState(false);
+  
+  const radius = 2.02;
+  // Convert lat/lon to Cartesian (x, y, z) for placement on the globe.
+  const [x, y, z] = latLonToVector3(location.lat, location.lon, radius);
+
+  // Animation loop for marker scaling and selected ring rotation.
+  useFrame((state) => {
+    if (meshRef.current) {
+      if (isSelected) {
+        // Pulse animation when selected.
+        meshRef.current.scale.setScalar(Math.sin(state.clock.elapsedTime * 3) * 0.2 + 1.5);
+      } else if (hovered) {
+        meshRef.current.scale.setScalar(1.3);
+      } else {
+        meshRef.current.scale.setScalar(1);
+      }
+    }
+    
+    if (ringRef.current && isSelected) {
+      ringRef.current.rotation.z += 0.05;
+      ringRef.current.scale.setScalar(Math.sin(state.clock.elapsedTime * 2) * 0.3 + 1.5);
+    }
+  });
+
+  return (
+    <group position={[x, y, z]}>
+      {/* Pulsating ring when location is selected */}
+      {isSelected && (
+        <mesh ref={ringRef} rotation={[Math.PI / 2, 0, 0]}>
+          <ringGeometry args={[0.08, 0.12, 32]} />
+          <meshBasicMaterial color={location.color} transparent opacity={0.6} />
+        </mesh>
+      )}
+      
+      {/* Main interactive marker sphere */}
+      <mesh
+        ref={meshRef}
+        onClick={(e) => {
+          // Keep the click from also reaching the globe surface behind the marker.
+          e.stopPropagation();
+          onClick(location, { additive: e.shiftKey });
+        }}
+        onPointerOver={() => setHovered(true)}
+        onPointerOut={() => setHovered(false)}
+      >
+        <sphereGeometry args={[0.04, 16, 16]} />
+        <meshBasicMaterial color={location.color} />
+      </mesh>
+      
+      {/* Subtle, non-interactive glow sphere */}
+      <mesh>
+        <sphereGeometry args={[0.06, 16, 16]} />
+        <meshBasicMaterial color={location.color} transparent opacity={0.3} />
+      </mesh>
+      
+      {/* HTML label (tooltip) that appears on hover or selection */}
+      {(hovered || isSelected) && (
+        <Html distanceFactor={8} style={{ zIndex: 10 }}>
+          <div 
+            className="bg-gray-900/95 backdrop-blur-xl border-2 border-cyan-400/60 text-cyan-100 px-4 py-2 rounded-lg text-sm whitespace-nowrap pointer-events-none shadow-lg shadow-cyan-500/50"
+            style={{ userSelect: 'none' }}
+          >
+            <div className="flex items-center gap-2">
+              <div className="w-2 h-2 bg-cyan-400 rounded-full animate-pulse"></div>
+              <span className="font-semibold">{location.name}</span>
+            </div>
+          </div>
+        </Html>
+      )}
+    </group>
+  );
+}
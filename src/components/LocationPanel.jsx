@@ -0,0 +1,257 @@
+import { useRef, useState, useEffect } from 'react';
+import { Loader2, Search, MapPin, Plus, Trash2, Pencil, Check, X, Download, Upload } from 'lucide-react';
+import { geocode } from '../utils/geocoder';
+import { CUSTOM_LOCATION_COLOR, addLocation, renameLocation, recolorLocation, removeLocation, exportLocations, importLocations } from '../utils/locationStore';
+import { downloadFile } from '../utils/download';
+
+/**
+ * LocationPanel Component: Search box (place names or decimal/DMS coordinates) and
+ * manager for the saved-locations list (select, rename, recolor, delete, import/export).
+ * @param {object} props - Component properties.
+ * @param {object[]} props.locations - Saved locations from the store.
+ * @param {object} props.selectedLocation - The currently selected location object.
+ * @param {function} props.onSelect - Called with the location to analyze.
+ */
+export function LocationPanel({ locations, selectedLocation, onSelect }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef();
+
+  // Debounced geocoding of the search query.
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      // A search still in flight is cancelled below, so its finally() won't clear the spinner.
+      setResults([]);
+      setSearching(false);
+      return;
+    }
+    let cancelled = false;
+    const timeout = setTimeout(() => {
+      setSearching(true);
+      geocode(trimmed)
+        .then((found) => {
+          if (!cancelled) setResults(found);
+        })
+        .catch((err) => {
+          if (!cancelled) setMessage({ type: 'error', text: err.message || 'Search failed' });
+        })
+        .finally(() => {
+          if (!cancelled) setSearching(false);
+        });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query]);
+
+  // Analyze a search result as a temporary (unsaved) location.
+  const handleResultClick = (result) => {
+    onSelect({
+      name: result.name,
+      lat: result.lat,
+      lon: result.lon,
+      color: CUSTOM_LOCATION_COLOR,
+      district: null,
+      isCustom: true,
+    });
+  };
+
+  // Save a location to the store and select the stored copy.
+  const handleSave = (location) => {
+    const saved = addLocation({ name: location.name, lat: location.lat, lon: location.lon, district: location.district });
+    onSelect(saved);
+    setMessage({ type: 'info', text: `Saved "${saved.name}"` });
+  };
+
+  const startRename = (location) => {
+    setEditingId(location.id);
+    setEditName(location.name);
+  };
+
+  const commitRename = () => {
+    if (editName.trim()) renameLocation(editingId, editName);
+    setEditingId(null);
+  };
+
+  const handleExport = (format) => {
+    const extension = format === 'geojson' ? 'geojson' : 'json';
+    const mimeType = format === 'geojson' ? 'application/geo+json' : 'application/json';
+    downloadFile(exportLocations(format), `model-earth-locations.${extension}`, mimeType);
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        const { added, invalid } = importLocations(text);
+        const skipped = invalid > 0 ? ` (${invalid} invalid entr${invalid === 1 ? 'y' : 'ies'} skipped)` : '';
+        setMessage({ type: 'info', text: `Imported ${added} location${added === 1 ? '' : 's'}${skipped}` });
+      })
+      .catch((err) => setMessage({ type: 'error', text: err.message || 'Import failed' }));
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="absolute top-40 left-6 z-10 flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-cyan-500/20 to-purple-500/20 backdrop-blur-xl border-2 border-cyan-500/40 rounded-xl text-cyan-100 text-sm font-semibold shadow-lg shadow-cyan-500/30 hover:bg-cyan-500/30 transition-all"
+        title="Search and manage locations"
+      >
+        <Search className="w-4 h-4 text-cyan-300" />
+        LOCATIONS
+      </button>
+    );
+  }
+
+  return (
+    <div className="absolute top-40 left-6 z-10 w-80 max-h-[calc(100%-12rem)] flex flex-col bg-gray-900/90 backdrop-blur-xl border-2 border-cyan-500/40 rounded-2xl shadow-2xl shadow-cyan-500/30 text-cyan-100 overflow-hidden">
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 border-b border-cyan-500/30">
+        <span className="text-sm font-bold tracking-wider flex items-center gap-2">
+          <MapPin className="w-4 h-4 text-cyan-300" /> LOCATIONS
+        </span>
+        <button onClick={() => setIsOpen(false)} className="p-1 rounded-lg hover:bg-cyan-500/20" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Search input */}
+      <div className="px-4 py-3 border-b border-cyan-500/30">
+        <div className="flex items-center gap-2 bg-gray-950/60 border border-cyan-500/40 rounded-lg px-3 py-2">
+          {searching ? <Loader2 className="w-4 h-4 animate-spin text-cyan-300" /> : <Search className="w-4 h-4 text-cyan-300" />}
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={'Place or coordinates (12°02\'S 77°02\'W)'}
+            className="flex-1 bg-transparent outline-none text-sm placeholder:text-cyan-200/40"
+          />
+        </div>
+        {query.trim() && !searching && results.length === 0 && (
+          <p className="mt-2 text-xs text-cyan-200/60">No matches found.</p>
+        )}
+        {results.length > 0 && (
+          <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+            {results.map((result) => (
+              <li key={`${result.name}-${result.lat}-${result.lon}`} className="flex items-center gap-2 text-sm">
+                <button
+                  onClick={() => handleResultClick(result)}
+                  className="flex-1 text-left px-2 py-1 rounded-lg hover:bg-cyan-500/20 truncate"
+                  title={`${result.lat.toFixed(4)}, ${result.lon.toFixed(4)}`}
+                >
+                  {result.name}
+                </button>
+                <button onClick={() => handleSave(result)} className="p-1 rounded-lg hover:bg-cyan-500/20" title="Save location">
+                  <Plus className="w-4 h-4 text-cyan-300" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Unsaved point picked on the globe or from search */}
+      {selectedLocation?.isCustom && (
+        <div className="flex items-center justify-between gap-2 px-4 py-2 border-b border-cyan-500/30 bg-orange-500/10 text-sm">
+          <span className="truncate">{selectedLocation.name}</span>
+          <button
+            onClick={() => handleSave(selectedLocation)}
+            className="flex items-center gap-1 px-2 py-1 rounded-lg bg-orange-500/20 hover:bg-orange-500/30 border border-orange-400/50 text-xs font-semibold"
+          >
+            <Plus className="w-3 h-3" /> SAVE
+          </button>
+        </div>
+      )}
+
+      {/* Saved locations list */}
+      <ul className="flex-1 overflow-y-auto px-2 py-2 space-y-1">
+        {locations.length === 0 && (
+          <li className="px-2 py-1 text-xs text-cyan-200/60">No saved locations yet.</li>
+        )}
+        {locations.map((loc) => (
+          <li
+            key={loc.id}
+            className={`flex items-center gap-2 px-2 py-1 rounded-lg text-sm ${selectedLocation?.id === loc.id ? 'bg-cyan-500/20' : 'hover:bg-cyan-500/10'}`}
+          >
+            <input
+              type="color"
+              value={loc.color}
+              onChange={(e) => recolorLocation(loc.id, e.target.value)}
+              className="w-5 h-5 shrink-0 rounded cursor-pointer bg-transparent border-0 p-0"
+              title="Change marker color"
+            />
+            {editingId === loc.id ? (
+              <form
+                className="flex-1 flex items-center gap-1"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  commitRename();
+                }}
+              >
+                <input
+                  autoFocus
+                  value={editName}
+                  onChange={(e) => setEditName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                  className="flex-1 min-w-0 bg-gray-950/60 border border-cyan-500/40 rounded px-2 py-0.5 outline-none"
+                />
+                <button type="submit" className="p-1 rounded-lg hover:bg-cyan-500/20" title="Save name">
+                  <Check className="w-4 h-4 text-cyan-300" />
+                </button>
+              </form>
+            ) : (
+              <>
+                <button
+                  onClick={(e) => onSelect(loc, { additive: e.shiftKey })}
+                  className="flex-1 text-left truncate"
+                  title={`${loc.lat.toFixed(4)}, ${loc.lon.toFixed(4)} · shift-click to compare`}
+                >
+                  {loc.name}
+                </button>
+                <button onClick={() => startRename(loc)} className="p-1 rounded-lg hover:bg-cyan-500/20" title="Rename">
+                  <Pencil className="w-3 h-3 text-cyan-300" />
+                </button>
+                <button onClick={() => removeLocation(loc.id)} className="p-1 rounded-lg hover:bg-red-500/20" title="Delete">
+                  <Trash2 className="w-3 h-3 text-red-300" />
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Import / export actions */}
+      <div className="px-4 py-3 border-t border-cyan-500/30 space-y-2">
+        {message && (
+          <p className={`text-xs ${message.type === 'error' ? 'text-red-300' : 'text-cyan-200'}`}>{message.text}</p>
+        )}
+        <div className="flex items-center gap-2 text-xs font-semibold">
+          <button onClick={() => fileInputRef.current?.click()} className="flex items-center gap-1 px-2 py-1 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20">
+            <Upload className="w-3 h-3" /> IMPORT
+          </button>
+          <button onClick={() => handleExport('json')} className="flex items-center gap-1 px-2 py-1 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20">
+            <Download className="w-3 h-3" /> JSON
+          </button>
+          <button onClick={() => handleExport('geojson')} className="flex items-center gap-1 px-2 py-1 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20">
+            <Download className="w-3 h-3" /> GEOJSON
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.geojson,application/json,application/geo+json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { Activity, AlertCircle } from 'lucide-react';
+import { CLIMATOLOGY_PERIOD } from '../utils/climatology';
+import { PARAMETER_CATALOG, formatAnomaly, formatParameterValue, roundValue } from '../utils/parameters';
+import { SourceLabel, CompletenessLabel } from './MetricLabels';
+import { parameterIcons, metricThemes } from './parameterStyles';
+
+/**
+ * MetricCard Component: Shows the latest value of one catalog parameter, themed by its catalog entry.
+ * With the location's climatology, the value is shown against the normal of its calendar month
+ * (anomaly and percentile among that month's yearly means) and the progress bar spans the month's
+ * min-max range, with a tick at the normal. Otherwise the bar is scaled to the parameter's `displayRange`.
+ * @param {object} props - Component properties.
+ * @param {string} props.parameterId - NASA POWER parameter id.
+ * @param {number|null} props.value - Latest value, or null when missing.
+ * @param {number} [props.completeness] - Percentage of days with valid data in the range.
+ * @param {string} [props.source] - Name of the provider the value came from.
+ * @param {string} [props.error] - Why the value could not be loaded.
+ * @param {object|null} [props.climatology] - Comparison with the normal (see utils/climatology getClimatologyStats).
+ * @param {string} [props.climatologyError] - Why the normal could not be loaded.
+ */
+export function MetricCard({ parameterId, value, completeness, source, error, climatology, climatologyError }) {
+  const entry = PARAMETER_CATALOG[parameterId];
+  const theme = metricThemes[entry.theme] || metricThemes.cyan;
+  const Icon = parameterIcons[entry.icon] || Activity;
+  const [min, max] = climatology && climatology.max > climatology.min ? [climatology.min, climatology.max] : entry.displayRange;
+  const hasValue = value !== null && value !== undefined;
+  const toPercent = (item) => Math.min(Math.max(((item - min) / (max - min)) * 100, 0), 100);
+  const percent = hasValue ? toPercent(value) : 0;
+
+  return (
+    <div className={`group relative bg-gradient-to-br ${theme.card} backdrop-blur-xl p-5 rounded-2xl border-2 transition-all duration-300 overflow-hidden`}>
+      <div className={`absolute inset-0 bg-gradient-to-br ${theme.overlay} opacity-0 group-hover:opacity-100 transition-opacity`}></div>
+      <div className="relative z-10">
+        <div className="flex items-center gap-3 mb-3">
+          <div className={`p-2 rounded-xl border-2 ${theme.iconBox}`}>
+            <Icon className={`w-6 h-6 ${theme.icon}`} />
+          </div>
+          <div>
+            <p className={`text-xs tracking-wider font-semibold ${theme.text}`}>{entry.label.toUpperCase()}</p>
+            <p className={`text-3xl font-bold ${theme.text} ${theme.glow}`}>{formatParameterValue(parameterId, value)}</p>
+          </div>
+        </div>
+        {error && (
+          <p className="mb-2 flex items-center gap-1 text-xs font-mono text-red-300" title={error}>
+            <AlertCircle className="w-3 h-3 shrink-0" />
+            <span className="truncate">{error}</span>
+          </p>
+        )}
+        {climatology && (
+          <p className={`mb-2 text-xs font-mono font-semibold ${theme.text}`} title={`${CLIMATOLOGY_PERIOD.startYear}–${CLIMATOLOGY_PERIOD.endYear} monthly normal ${formatParameterValue(parameterId, roundValue(parameterId, climatology.normal))}, range ${formatParameterValue(parameterId, roundValue(parameterId, climatology.min))} to ${formatParameterValue(parameterId, roundValue(parameterId, climatology.max))}`}>
+            {formatAnomaly(parameterId, climatology.anomaly)} VS NORMAL · P{Math.round(climatology.percentile)}
+            {(climatology.percentile < 10 || climatology.percentile > 90) && (
+              <span className="ml-2 px-1 rounded bg-white/20">{climatology.percentile > 90 ? 'UNUSUALLY HIGH' : 'UNUSUALLY LOW'}</span>
+            )}
+          </p>
+        )}
+        {!climatology && climatologyError && (
+          <p className="mb-2 text-xs font-mono text-amber-300 truncate" title={climatologyError}>NO NORMAL · {climatologyError}</p>
+        )}
+        <div className={`relative h-1 rounded-full ${theme.track}`}>
+          <div className={`h-full bg-gradient-to-r ${theme.bar} rounded-full`} style={{width: `${percent}%`}}></div>
+          {climatology && (
+            <div className="absolute -top-1 w-0.5 h-3 bg-white/80" style={{left: `${toPercent(climatology.normal)}%`}} title="Normal"></div>
+          )}
+        </div>
+        <div className="flex items-center justify-between">
+          <CompletenessLabel value={completeness} />
+          {source && <SourceLabel name={source} />}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+import { getSimulationMillis } from '../utils/simulationClock';
+import { getSolarElevation } from '../utils/astronomy';
+
+/**
+ * SourceLabel Component: Names the data provider a value came from.
+ * @param {object} props - Component properties.
+ * @param {string} props.name - Provider display name.
+ */
+export function SourceLabel({ name }) {
+  return (
+    <p className="mt-2 text-[10px] font-mono font-semibold tracking-wider text-white/50">
+      SOURCE: {name.toUpperCase()}
+    </p>
+  );
+}
+
+/**
+ * SunElevationLabel Component: Elevation of the sun at the location for the simulation time,
+ * the same sun that lights the globe.
+ * @param {object} props - Component properties.
+ * @param {number} props.lat - Latitude.
+ * @param {number} props.lon - Longitude.
+ */
+export function SunElevationLabel({ lat, lon }) {
+  const [now, setNow] = useState(getSimulationMillis);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(getSimulationMillis()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const elevation = getSolarElevation(new Date(now), lat, lon);
+  return (
+    <div className="ml-auto text-right font-mono" title="Sun elevation at the simulation time">
+      <p className="text-sm font-bold text-yellow-100">{elevation.toFixed(1)}°</p>
+      <p className="text-[10px] text-yellow-100/60">{elevation > 0 ? 'DAYTIME' : elevation > -6 ? 'TWILIGHT' : 'NIGHT'} · SIM TIME</p>
+    </div>
+  );
+}
+
+/**
+ * CompletenessLabel Component: Share of the range with valid data, highlighted when below 90%.
+ * @param {object} props - Component properties.
+ * @param {number} [props.value] - Completeness percentage.
+ */
+export function CompletenessLabel({ value }) {
+  if (value === undefined || value === null) return null;
+  return (
+    <p className={`mt-2 text-[10px] font-mono font-semibold tracking-wider ${value < 90 ? 'text-amber-300' : 'text-white/50'}`}>
+      {value}% COMPLETE
+    </p>
+  );
+}
@@ -0,0 +1,104 @@
+import { useEffect, useMemo } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { latLonToVector3 } from '../utils/geo';
+import { reportAssetError } from '../utils/assetStore';
+import { getSimulationTime } from '../utils/simulationClock';
+import { getSubsolarPoint } from '../utils/astronomy';
+
+/**
+ * Night-lights texture (equirectangular, same layout as the Earth texture): NASA's Black Marble,
+ * see public/assets/textures/ATTRIBUTION.md.
+ */
+const NIGHT_LIGHTS_TEXTURE = `${import.meta.env.BASE_URL}assets/textures/earth-night-lights.jpg`;
+
+const nightVertexShader = `
+  varying vec3 vNormal;
+  varying vec2 vUv;
+  void main() {
+    vNormal = normal;
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// Darkens the night side, fading across the terminator down to civil twilight (sun 6° below the
+// horizon), and shows the night-lights texture there when one is loaded.
+const nightFragmentShader = `
+  uniform vec3 sunDirection;
+  uniform sampler2D nightMap;
+  uniform bool hasNightMap;
+  varying vec3 vNormal;
+  varying vec2 vUv;
+  void main() {
+    float night = 1.0 - smoothstep(-0.1, 0.0, dot(normalize(vNormal), sunDirection));
+    vec3 lights = hasNightMap ? texture2D(nightMap, vUv).rgb : vec3(0.0);
+    float glow = max(lights.r, max(lights.g, lights.b));
+    gl_FragColor = vec4(lights, night * max(0.6, glow));
+  }
+`;
+
+/**
+ * NightSide Component: Shell just above the globe, in the Earth-fixed frame, shading the side
+ * facing away from the subsolar point at the simulation time.
+ * @param {object} props - Component properties.
+ * @param {boolean} props.showLights - Load the night-lights texture and show it on the night side.
+ * @param {number} props.segments - Sphere width segments (from the quality tier).
+ */
+export function NightSide({ showLights, segments }) {
+  const invalidate = useThree((state) => state.invalidate);
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    uniforms: {
+      sunDirection: { value: new THREE.Vector3(1, 0, 0) },
+      nightMap: { value: null },
+      hasNightMap: { value: false },
+    },
+    vertexShader: nightVertexShader,
+    fragmentShader: nightFragmentShader,
+    transparent: true,
+    depthWrite: false,
+  }), []);
+
+  useEffect(() => () => material.dispose(), [material]);
+
+  // The lights are optional, so a failed load only disables them instead of suspending the scene.
+  useEffect(() => {
+    if (!showLights) return undefined;
+    let texture = null;
+    let cancelled = false;
+    new THREE.TextureLoader().load(
+      NIGHT_LIGHTS_TEXTURE,
+      (loaded) => {
+        if (cancelled) {
+          loaded.dispose();
+          return;
+        }
+        loaded.colorSpace = THREE.SRGBColorSpace;
+        texture = loaded;
+        material.uniforms.nightMap.value = loaded;
+        material.uniforms.hasNightMap.value = true;
+        invalidate();
+      },
+      undefined,
+      (error) => reportAssetError(NIGHT_LIGHTS_TEXTURE, error?.message || 'Night lights texture not available'),
+    );
+    return () => {
+      cancelled = true;
+      material.uniforms.nightMap.value = null;
+      material.uniforms.hasNightMap.value = false;
+      texture?.dispose();
+      invalidate();
+    };
+  }, [showLights, material, invalidate]);
+
+  useFrame(() => {
+    const sun = getSubsolarPoint(getSimulationTime());
+    material.uniforms.sunDirection.value.set(...latLonToVector3(sun.lat, sun.lon, 1));
+  });
+
+  return (
+    <mesh material={material}>
+      <sphereGeometry args={[2.002, segments, segments / 2]} />
+    </mesh>
+  );
+}
@@ -0,0 +1,133 @@
+import { useRef, useState, useEffect, useMemo } from 'react';
+import { AlertCircle, Upload, Satellite as SatelliteIcon } from 'lucide-react';
+import { useOrbitElements, loadTLEFile, resetTLE } from '../utils/orbitStore';
+import { checkOrbits, isSatelliteHidden, setSatelliteHidden, useSatelliteCatalog } from '../utils/satelliteCatalog';
+
+const SOURCE_LABELS = { celestrak: 'CELESTRAK', bundled: 'BUNDLED', file: 'CUSTOM' };
+
+/**
+ * OrbitDataPanel Component: Shows which orbital elements drive the satellites (current sets from
+ * CelesTrak, the bundled offline snapshot or a user-supplied TLE file) and how old they are, and
+ * loads a replacement TLE file.
+ * Also lists the satellite catalog, to show or hide each satellite, with its validation warnings.
+ */
+export function OrbitDataPanel() {
+  const { status, source, fileName, fetchedAt, elements, errors, updateErrors } = useOrbitElements();
+  const catalog = useSatelliteCatalog();
+  const [isOpen, setIsOpen] = useState(false);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef();
+
+  // Catalog problems, including entries the loaded TLEs cannot propagate.
+  const catalogWarnings = useMemo(
+    () => (status === 'ready' ? [...catalog.warnings, ...checkOrbits(catalog.satellites, elements)] : catalog.warnings),
+    [status, catalog.warnings, catalog.satellites, elements]
+  );
+
+  useEffect(() => {
+    if (status !== 'ready') return;
+    checkOrbits(catalog.satellites, elements).forEach((warning) => console.warn(`Satellite catalog: ${warning}`));
+  }, [status, catalog.satellites, elements]);
+
+  const oldestEpoch = elements.length > 0 ? Math.min(...elements.map((element) => element.epoch.getTime())) : null;
+  const ageDays = oldestEpoch === null ? null : Math.floor((Date.now() - oldestEpoch) / 86400000);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { count, errors: rejected } = loadTLEFile(await file.text(), file.name);
+      setMessage({ type: 'info', text: `Loaded ${count} element set${count === 1 ? '' : 's'}${rejected.length ? `, ${rejected.length} rejected` : ''}` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  return (
+    <div className="absolute bottom-20 lg:bottom-6 left-6 z-10 w-72 bg-gray-900/90 backdrop-blur-xl border-2 border-cyan-500/40 rounded-2xl shadow-2xl shadow-cyan-500/30 text-cyan-100 text-xs">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 px-4 py-2 font-mono font-semibold"
+      >
+        <SatelliteIcon className="w-4 h-4 text-cyan-300" />
+        <span>ORBITS · {status === 'loading' ? 'LOADING…' : `${elements.length} TLE`}</span>
+        {catalogWarnings.length > 0 && <AlertCircle className="ml-auto w-3 h-3 text-amber-300" />}
+        <span className={`${catalogWarnings.length > 0 ? '' : 'ml-auto '}text-cyan-200/70`}>{SOURCE_LABELS[source]}</span>
+      </button>
+      {isOpen && (
+        <div className="px-4 pb-3 space-y-2 border-t border-cyan-500/30 pt-2">
+          <p className="text-cyan-200">
+            Positions are propagated with SGP4 from {source === 'file' && <span className="font-semibold">{fileName}</span>}
+            {source === 'celestrak' && `current CelesTrak element sets (downloaded ${new Date(fetchedAt).toISOString().slice(0, 16).replace('T', ' ')} UTC)`}
+            {source === 'bundled' && 'the bundled offline snapshot'}.
+          </p>
+          {updateErrors.length > 0 && (
+            <p className="text-amber-300" title={updateErrors.join('\n')}>
+              {updateErrors.length} satellite{updateErrors.length === 1 ? '' : 's'} could not be updated from CelesTrak and use{updateErrors.length === 1 ? 's' : ''} the bundled snapshot
+            </p>
+          )}
+          {ageDays !== null && (
+            <p className={ageDays > 30 ? 'text-amber-300' : 'text-cyan-200/70'}>
+              Oldest epoch: {new Date(oldestEpoch).toISOString().split('T')[0]} ({ageDays} days old)
+              {ageDays > 30 && ' — load current elements for accurate positions.'}
+            </p>
+          )}
+          {errors.length > 0 && (
+            <p className="text-amber-300" title={errors.join('\n')}>{errors.length} entr{errors.length === 1 ? 'y' : 'ies'} rejected</p>
+          )}
+          <div className="flex gap-2">
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="flex items-center gap-1 px-2 py-1 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20"
+            >
+              <Upload className="w-3 h-3" /> LOAD TLE FILE
+            </button>
+            {source === 'file' && (
+              <button
+                onClick={() => {
+                  resetTLE();
+                  setMessage(null);
+                }}
+                className="px-2 py-1 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20"
+              >
+                USE CURRENT
+              </button>
+            )}
+            <input ref={fileInputRef} type="file" accept=".tle,.txt,text/plain" className="hidden" onChange={handleFile} />
+          </div>
+          {message && (
+            <p className={message.type === 'error' ? 'text-red-300' : 'text-cyan-200'}>{message.text}</p>
+          )}
+          <div className="border-t border-cyan-500/30 pt-2 space-y-1">
+            <p className="font-mono font-semibold text-cyan-200">CATALOG</p>
+            {catalog.status === 'error' && <p className="text-red-300">Satellite catalog unavailable ({catalog.error})</p>}
+            {catalogWarnings.length > 0 && (
+              <p className="text-amber-300" title={catalogWarnings.join('\n')}>
+                {catalogWarnings.length} catalog warning{catalogWarnings.length === 1 ? '' : 's'}
+              </p>
+            )}
+            <div className="max-h-40 overflow-y-auto space-y-1">
+              {catalog.satellites.map((satellite) => {
+                const hasElements = elements.some((element) => element.noradId === satellite.noradId);
+                return (
+                  <label key={satellite.noradId} className="flex items-center gap-2 cursor-pointer select-none">
+                    <input
+                      type="checkbox"
+                      checked={!isSatelliteHidden(satellite, catalog.hiddenIds)}
+                      onChange={(e) => setSatelliteHidden(satellite.noradId, !e.target.checked)}
+                      className="accent-cyan-400"
+                    />
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: satellite.color }}></span>
+                    <span className="truncate">{satellite.name}</span>
+                    {!hasElements && <span className="ml-auto text-cyan-200/50" title="No element set in the loaded TLEs">NO TLE</span>}
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { useEffect, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Line as PathLine } from '@react-three/drei';
+import * as THREE from 'three';
+import { EARTH_RADIUS_KM, EARTH_RADIUS_SCENE, geodeticToVector3, latLonToVector3 } from '../utils/geo';
+import { propagateInertial, propagateOrbit, sampleOrbit } from '../utils/tle';
+import { getSimulationTime } from '../utils/simulationClock';
+import { useSteppedSimulationTime } from './useSteppedSimulationTime';
+
+const TRACK_STEP_SECONDS = 30;
+export const TRACK_RADIUS = 2.005;
+
+/**
+ * GroundTrack Component: Sub-satellite path on the Earth's surface over the past and next
+ * `orbitCount` orbits (past dimmed). Rendered in the Earth-fixed frame.
+ * @param {object} props - Component properties.
+ * @param {object} props.orbit - Orbit from createOrbit().
+ * @param {string} props.color - Satellite color.
+ * @param {number} props.orbitCount - Orbits drawn on each side of the current position.
+ */
+export function GroundTrack({ orbit, color, orbitCount }) {
+  const periodMs = orbit.periodMinutes * 60000;
+  // Rebuild about 50 times per orbit, so the track follows the satellite smoothly.
+  const time = useSteppedSimulationTime(periodMs / 50);
+
+  const { past, future } = useMemo(() => {
+    const steps = Math.ceil((orbitCount * periodMs) / (TRACK_STEP_SECONDS * 1000));
+    const span = steps * TRACK_STEP_SECONDS * 1000;
+    const toPoints = (samples) => samples.map((point) => latLonToVector3(point.lat, point.lon, TRACK_RADIUS));
+    return {
+      past: toPoints(sampleOrbit(orbit, time - span, time, TRACK_STEP_SECONDS)),
+      future: toPoints(sampleOrbit(orbit, time, time + span, TRACK_STEP_SECONDS)),
+    };
+  }, [orbit, orbitCount, periodMs, time]);
+
+  return (
+    <>
+      {past.length > 1 && <PathLine points={past} color={color} lineWidth={1} transparent opacity={0.35} />}
+      {future.length > 1 && <PathLine points={future} color={color} lineWidth={1.5} transparent opacity={0.9} />}
+    </>
+  );
+}
+
+/**
+ * OrbitPath Component: One full revolution around the current position, drawn in the
+ * inertial world frame (TEME x, y, z mapped to scene x, z, -y; see Earth).
+ * @param {object} props - Component properties.
+ * @param {object} props.orbit - Orbit from createOrbit().
+ * @param {string} props.color - Satellite color.
+ */
+export function OrbitPath({ orbit, color }) {
+  const periodMs = orbit.periodMinutes * 60000;
+  // The ellipse barely changes within an orbit; refresh it every quarter revolution.
+  const time = useSteppedSimulationTime(periodMs / 4);
+
+  const points = useMemo(() => {
+    const scale = EARTH_RADIUS_SCENE / EARTH_RADIUS_KM;
+    return sampleOrbit(orbit, time - periodMs / 2, time + periodMs / 2 + TRACK_STEP_SECONDS * 1000, TRACK_STEP_SECONDS, propagateInertial)
+      .map(({ x, y, z }) => [x * scale, z * scale, -y * scale]);
+  }, [orbit, periodMs, time]);
+
+  if (points.length < 2) return null;
+  return <PathLine points={points} color={color} lineWidth={1} transparent opacity={0.6} />;
+}
+
+/**
+ * NadirLine Component: Line from the satellite straight down to its sub-satellite point,
+ * updated every frame in the Earth-fixed frame.
+ * @param {object} props - Component properties.
+ * @param {object} props.orbit - Orbit from createOrbit().
+ * @param {string} props.color - Satellite color.
+ */
+export function NadirLine({ orbit, color }) {
+  // A plain THREE.Line whose two vertices are rewritten in place, avoiding per-frame allocations.
+  const line = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+    return new THREE.Line(geometry, new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.7 }));
+  }, [color]);
+
+  useEffect(() => () => {
+    line.geometry.dispose();
+    line.material.dispose();
+  }, [line]);
+
+  useFrame(() => {
+    const position = propagateOrbit(orbit, getSimulationTime());
+    line.visible = position !== null;
+    if (!position) return;
+    const attribute = line.geometry.attributes.position;
+    attribute.array.set([
+      ...geodeticToVector3(position.lat, position.lon, position.altitude),
+      ...latLonToVector3(position.lat, position.lon, EARTH_RADIUS_SCENE),
+    ]);
+    attribute.needsUpdate = true;
+    line.geometry.computeBoundingSphere();
+  });
+
+  return <primitive object={line} />;
+}
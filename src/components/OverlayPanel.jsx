@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import { Activity } from 'lucide-react';
+import { formatCoordinates } from '../utils/formatter';
+import { OVERLAYS, getOverlay, getRampGradient } from '../utils/overlays';
+import { refreshOverlay, selectOverlay, setOverlayOpacity, setOverlayTiles, useOverlay } from '../utils/overlayStore';
+
+/**
+ * OverlayPanel Component: Picks the data overlay drawn over the globe, with its opacity, legend
+ * and the value under the pointer. NASA POWER overlays cover a region around the selected
+ * location for the dashboard's last day; the computed overlay is global.
+ * @param {object} props - Component properties.
+ * @param {object|null} props.location - Selected location (centre of POWER regions).
+ * @param {Date|null} props.date - Day to show (last day of the dashboard's range).
+ */
+export function OverlayPanel({ location, date }) {
+  const { id, opacity, tiles, status, error, meta, hover, gridId } = useOverlay();
+  const [isOpen, setIsOpen] = useState(false);
+  const overlay = getOverlay(id);
+  const day = (date || new Date()).toISOString().slice(0, 10);
+  const lat = location?.lat;
+  const lon = location?.lon;
+
+  useEffect(() => {
+    refreshOverlay({ center: lat === undefined ? null : { lat, lon }, date: new Date(`${day}T00:00:00Z`) });
+  }, [id, tiles, lat, lon, day]);
+
+  const selectClass = 'bg-gray-800/80 border border-cyan-500/40 rounded-lg px-2 py-1';
+
+  return (
+    <div className="w-64 bg-gray-900/90 backdrop-blur-xl border-2 border-cyan-500/40 rounded-2xl shadow-2xl shadow-cyan-500/30 text-cyan-100 text-xs">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 px-4 py-2 font-mono font-semibold"
+      >
+        <Activity className="w-4 h-4 text-cyan-300" />
+        DATA OVERLAY
+        <span className="ml-auto text-cyan-200/70 truncate">
+          {overlay ? (status === 'loading' ? 'LOADING…' : overlay.label.toUpperCase()) : 'OFF'}
+        </span>
+      </button>
+      {isOpen && (
+        <div className="px-4 pb-3 pt-2 space-y-2 border-t border-cyan-500/30">
+          <select
+            value={id || ''}
+            onChange={(e) => selectOverlay(e.target.value || null)}
+            className={`w-full ${selectClass}`}
+            aria-label="Data overlay"
+          >
+            <option value="">None</option>
+            {OVERLAYS.map((item) => (
+              <option key={item.id} value={item.id}>{item.label}{item.source === 'computed' ? ' (computed)' : ''}</option>
+            ))}
+          </select>
+          {overlay && (
+            <>
+              <label className="flex items-center gap-2">
+                <span>Opacity</span>
+                <input
+                  type="range"
+                  min="0.1"
+                  max="1"
+                  step="0.05"
+                  value={opacity}
+                  onChange={(e) => setOverlayOpacity(Number(e.target.value))}
+                  className="flex-1 accent-cyan-400"
+                />
+                <span className="font-mono w-8 text-right">{Math.round(opacity * 100)}%</span>
+              </label>
+              {overlay.source === 'nasa-power' && (
+                <label className="flex items-center justify-between gap-2">
+                  <span>Region</span>
+                  <select value={tiles} onChange={(e) => setOverlayTiles(Number(e.target.value))} className={selectClass}>
+                    <option value={1}>10° × 10°</option>
+                    <option value={3}>30° × 30°</option>
+                  </select>
+                </label>
+              )}
+
+              <div>
+                <div className="h-2 rounded-full" style={{ background: getRampGradient(overlay.ramp) }}></div>
+                <div className="flex justify-between font-mono text-cyan-200/70 mt-1">
+                  <span>{overlay.range[0]}</span>
+                  <span>{overlay.unit}</span>
+                  <span>{overlay.range[1]}</span>
+                </div>
+              </div>
+
+              <p className="font-mono min-h-[1rem]">
+                {hover && gridId === id
+                  ? `${formatCoordinates(hover.lat, hover.lon)} · ${hover.value === null ? 'no data' : `${hover.value.toFixed(1)} ${overlay.unit}`}`
+                  : <span className="text-cyan-200/50">Hover the globe to read values</span>}
+              </p>
+
+              {overlay.source === 'nasa-power' && !location && (
+                <p className="text-amber-300">Select a location to load the region around it.</p>
+              )}
+              {status === 'error' && <p className="text-red-300">{error}</p>}
+              <p className="text-[10px] font-mono text-cyan-200/60">
+                {overlay.source === 'computed' ? 'COMPUTED FROM THE SOLAR EPHEMERIS' : 'NASA POWER DAILY REGIONAL'} · {day}
+                {meta?.stale ? ' · OFFLINE COPY' : ''}
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { SlidersHorizontal, ChevronRight } from 'lucide-react';
+import { COMMUNITIES, PARAMETER_CATALOG } from '../utils/parameters';
+
+/**
+ * ParameterSelector Component: Toggle chips for the parameter catalog, grouped by POWER community.
+ * At least one parameter always stays selected.
+ * @param {object} props - Component properties.
+ * @param {string[]} props.selected - Selected parameter ids.
+ * @param {function} props.onChange - Called with the new list of selected ids (in catalog order).
+ */
+export function ParameterSelector({ selected, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const toggle = (id) => {
+    const next = selected.includes(id) ? selected.filter((item) => item !== id) : [...selected, id];
+    if (next.length === 0) return;
+    onChange(Object.keys(PARAMETER_CATALOG).filter((item) => next.includes(item)));
+  };
+
+  return (
+    <div className="bg-gray-900/40 backdrop-blur-xl border-2 border-cyan-500/30 rounded-2xl mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between px-5 py-3 text-cyan-100 text-sm font-bold tracking-wider"
+      >
+        <span className="flex items-center gap-2">
+          <SlidersHorizontal className="w-4 h-4 text-cyan-300" /> PARAMETERS ({selected.length})
+        </span>
+        <ChevronRight className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-90' : ''}`} />
+      </button>
+      {isOpen && (
+        <div className="px-5 pb-4 space-y-3">
+          {Object.values(COMMUNITIES).map((community) => (
+            <div key={community.id}>
+              <p className="text-xs text-cyan-200/70 font-mono font-semibold mb-1">
+                {community.id} · {community.label.toUpperCase()}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {Object.values(PARAMETER_CATALOG)
+                  .filter((entry) => entry.community === community.id)
+                  .map((entry) => {
+                    const isSelected = selected.includes(entry.id);
+                    return (
+                      <button
+                        key={entry.id}
+                        onClick={() => toggle(entry.id)}
+                        title={`${entry.id}${entry.unit ? ` (${entry.unit})` : ''}`}
+                        className={`flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-semibold border transition-all ${
+                          isSelected
+                            ? 'bg-cyan-500/30 border-cyan-300/60 text-cyan-50'
+                            : 'bg-gray-950/40 border-cyan-500/20 text-cyan-200/70 hover:bg-cyan-500/10'
+                        }`}
+                      >
+                        <span className="w-2 h-2 rounded-full" style={{ backgroundColor: entry.color }}></span>
+                        {entry.label}
+                      </button>
+                    );
+                  })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import { useState, useEffect, useMemo } from 'react';
+import { AlertCircle, Loader2, Satellite as SatelliteIcon } from 'lucide-react';
+import { MAX_ELEMENT_AGE_DAYS, getElementAgeDays } from '../utils/tle';
+import { predictPasses, toCompass } from '../utils/passes';
+import { mapWhenIdle } from '../utils/idleWork';
+import { getSimulationMillis, setSimulationTime } from '../utils/simulationClock';
+import { SkyPlot } from './SkyPlot';
+import { useSatellites } from './useSatellites';
+
+/**
+ * Formats epoch milliseconds as 'MM-DD HH:MM:SS' in UTC, for pass tables.
+ * @param {number} millis - Epoch milliseconds.
+ * @returns {string} The formatted time.
+ */
+const formatPassTime = (millis) => new Date(millis).toISOString().slice(5, 19).replace('T', ' ');
+
+const PASS_WINDOWS = [24, 72];
+const PASS_MIN_ELEVATIONS = [0, 10, 30];
+
+/**
+ * PassPredictions Component: Upcoming passes of every loaded satellite over the location, from
+ * the simulation time, with rise/culmination/set, maximum elevation, azimuths and duration.
+ * Times are in UTC; "GO" moves the simulation clock to the pass rise. Satellites whose element
+ * epoch is more than MAX_ELEMENT_AGE_DAYS away from the window are left out, with a warning.
+ * @param {object} props - Component properties.
+ * @param {object} props.location - Observer location (lat, lon).
+ */
+export function PassPredictions({ location }) {
+  const { orbits, getStyle } = useSatellites();
+  const [windowHours, setWindowHours] = useState(24);
+  const [minElevation, setMinElevation] = useState(10);
+  const [windowStart, setWindowStart] = useState(() => Math.floor(getSimulationMillis() / 60000) * 60000);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const [passes, setPasses] = useState([]);
+  const [computing, setComputing] = useState(true);
+
+  const windowEnd = windowStart + windowHours * 3600000;
+  const { current, stale } = useMemo(() => ({
+    current: orbits.filter((orbit) => getElementAgeDays(orbit, windowStart, windowEnd) <= MAX_ELEMENT_AGE_DAYS),
+    stale: orbits.filter((orbit) => getElementAgeDays(orbit, windowStart, windowEnd) > MAX_ELEMENT_AGE_DAYS),
+  }), [orbits, windowStart, windowEnd]);
+
+  const lat = location.lat;
+  const lon = location.lon;
+  // The search scans every satellite over the whole window, so it runs one satellite per idle
+  // callback instead of blocking the render.
+  useEffect(() => {
+    setComputing(true);
+    const controller = new AbortController();
+    mapWhenIdle(current, (orbit) => {
+      const style = getStyle(orbit);
+      return predictPasses(orbit, { lat, lon }, windowStart, windowEnd, { minElevation }).map((pass) => ({
+        ...pass,
+        key: `${orbit.noradId}-${pass.rise.time}`,
+        name: style.name,
+        color: style.color,
+      }));
+    }, { signal: controller.signal })
+      .then((perOrbit) => {
+        setPasses(perOrbit.flat().sort((a, b) => a.rise.time - b.rise.time));
+        setComputing(false);
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Error predicting passes:', err);
+        setPasses([]);
+        setComputing(false);
+      });
+    return () => controller.abort();
+  }, [current, getStyle, lat, lon, windowStart, windowEnd, minElevation]);
+
+  const selectClass = 'bg-gray-800/80 border border-cyan-500/40 rounded-lg px-2 py-1 text-cyan-100';
+
+  return (
+    <div className="bg-gradient-to-br from-cyan-500/10 to-blue-500/10 backdrop-blur-xl p-6 rounded-2xl border-2 border-cyan-500/40 mt-4 shadow-lg shadow-cyan-500/10">
+      <div className="flex items-center gap-2 mb-4 flex-wrap">
+        <SatelliteIcon className="w-5 h-5 text-cyan-300" />
+        <h3 className="text-lg font-bold text-cyan-100 drop-shadow-[0_0_8px_rgba(6,182,212,0.5)]">SATELLITE PASSES</h3>
+        <div className="ml-auto flex items-center gap-2 text-xs font-mono font-semibold text-cyan-200">
+          <select value={windowHours} onChange={(e) => setWindowHours(Number(e.target.value))} className={selectClass} aria-label="Prediction window">
+            {PASS_WINDOWS.map((hours) => <option key={hours} value={hours}>NEXT {hours} H</option>)}
+          </select>
+          <select value={minElevation} onChange={(e) => setMinElevation(Number(e.target.value))} className={selectClass} aria-label="Minimum elevation">
+            {PASS_MIN_ELEVATIONS.map((value) => <option key={value} value={value}>MAX EL ≥ {value}°</option>)}
+          </select>
+        </div>
+      </div>
+      <p className="text-xs font-mono text-cyan-200/70 mb-3">
+        FROM {formatPassTime(windowStart)} UTC
+        <button
+          onClick={() => setWindowStart(Math.floor(getSimulationMillis() / 60000) * 60000)}
+          className="ml-2 underline hover:text-cyan-100"
+        >
+          UPDATE TO SIMULATION TIME
+        </button>
+      </p>
+      {stale.length > 0 && (
+        <div className="flex items-start gap-2 mb-3 bg-amber-500/20 border-2 border-amber-400/50 rounded-xl px-3 py-2 text-xs font-semibold text-amber-100">
+          <AlertCircle className="w-4 h-4 shrink-0" />
+          <span>
+            NO PREDICTIONS FOR {stale.map((orbit) => getStyle(orbit).name).join(', ')}: their orbital elements are more
+            than {MAX_ELEMENT_AGE_DAYS} days from this window (oldest epoch{' '}
+            {new Date(Math.min(...stale.map((orbit) => orbit.epoch.getTime()))).toISOString().slice(0, 10)}), so pass times
+            would be wrong. Load current elements in the ORBITS panel.
+          </span>
+        </div>
+      )}
+      {computing ? (
+        <p className="flex items-center gap-2 text-sm text-cyan-200"><Loader2 className="w-4 h-4 animate-spin" /> COMPUTING PASSES...</p>
+      ) : passes.length === 0 ? (
+        <p className="text-sm text-cyan-200">
+          No passes in this window{orbits.length === 0 ? ' (no orbital elements loaded)' : current.length === 0 ? ' (no satellite with current orbital elements)' : ''}.
+        </p>
+      ) : (
+        <div className="flex flex-col xl:flex-row gap-4">
+          <SkyPlot passes={passes} selectedKey={selectedKey} onSelect={setSelectedKey} />
+          <div className="flex-1 max-h-72 overflow-y-auto">
+            <table className="w-full text-xs font-mono text-cyan-100">
+              <thead className="text-cyan-200/70 text-left">
+                <tr>
+                  <th className="py-1 pr-2">SATELLITE</th>
+                  <th className="py-1 pr-2">RISE (UTC)</th>
+                  <th className="py-1 pr-2">MAX EL</th>
+                  <th className="py-1 pr-2">AZ</th>
+                  <th className="py-1 pr-2">DUR</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {passes.map((pass) => (
+                  <tr
+                    key={pass.key}
+                    onClick={() => setSelectedKey(pass.key)}
+                    className={`cursor-pointer border-t border-cyan-500/10 ${pass.key === selectedKey ? 'bg-cyan-500/20' : 'hover:bg-cyan-500/10'}`}
+                    title={`Culmination ${formatPassTime(pass.culmination.time)} UTC at ${Math.round(pass.culmination.azimuth)}°, set ${formatPassTime(pass.set.time)} UTC`}
+                  >
+                    <td className="py-1 pr-2">
+                      <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: pass.color }}></span>
+                      {pass.name}
+                    </td>
+                    <td className="py-1 pr-2">{pass.inProgress ? 'NOW' : formatPassTime(pass.rise.time)}</td>
+                    <td className="py-1 pr-2">{pass.maxElevation.toFixed(0)}°</td>
+                    <td className="py-1 pr-2">{toCompass(pass.rise.azimuth)}→{toCompass(pass.set.azimuth)}</td>
+                    <td className="py-1 pr-2">{Math.floor(pass.duration / 60)}:{String(pass.duration % 60).padStart(2, '0')}</td>
+                    <td className="py-1">
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setSimulationTime(pass.rise.time);
+                        }}
+                        className="px-1.5 rounded border border-cyan-500/40 hover:bg-cyan-500/20"
+                        title="Move the simulation clock to this pass"
+                      >
+                        GO
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
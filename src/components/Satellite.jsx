@@ -0,0 +1,236 @@
+import { useRef, useState, Suspense, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Html, Detailed, useGLTF } from '@react-three/drei';
+import * as THREE from 'three';
+import { geodeticToVector3 } from '../utils/geo';
+import { propagateOrbit } from '../utils/tle';
+import { useQuality } from '../utils/qualityStore';
+import { getSimulationTime } from '../utils/simulationClock';
+import { AssetErrorBoundary } from './AssetErrorBoundary';
+
+/**
+ * Largest dimension of a satellite model in scene units, before its catalog `scale`.
+ * Models are authored at arbitrary sizes, so each one is rescaled to it.
+ */
+const SATELLITE_MODEL_SIZE = 0.12;
+
+/**
+ * Geometries shared by every satellite: the glow sphere around the model and the unit box the
+ * placeholder is built from (scaled per part).
+ */
+const SATELLITE_GLOW_GEOMETRY = new THREE.SphereGeometry(0.08, 12, 12);
+const UNIT_BOX_GEOMETRY = new THREE.BoxGeometry(1, 1, 1);
+
+const sharedMaterials = new Map();
+
+/**
+ * Returns the material cached under a key, creating it on first use, so satellites of the same
+ * color share their materials. Meshes using them set `dispose={null}` so unmounting one
+ * satellite does not dispose a material the others still draw with.
+ * @param {string} key - Cache key (kind and color).
+ * @param {function} create - Creates the material.
+ * @returns {THREE.Material} The shared material.
+ */
+const getSharedMaterial = (key, create) => {
+  if (!sharedMaterials.has(key)) sharedMaterials.set(key, create());
+  return sharedMaterials.get(key);
+};
+
+let spriteTexture = null;
+
+/**
+ * Soft round dot drawn by the far-away satellite sprites (created once, on first use).
+ * @returns {THREE.CanvasTexture} The texture.
+ */
+const getSpriteTexture = () => {
+  if (!spriteTexture) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.35, 'rgba(255, 255, 255, 0.8)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 64, 64);
+    spriteTexture = new THREE.CanvasTexture(canvas);
+  }
+  return spriteTexture;
+};
+
+/**
+ * SatelliteModel Component: Loads and renders a GLB model for a satellite, centred and rescaled
+ * to SATELLITE_MODEL_SIZE. Materials are restyled with the satellite's emissive color; meshes that
+ * share a material in the model keep sharing its restyled copy.
+ * @param {object} props - Component properties.
+ * @param {string} props.modelPath - GLB URL (listed in the asset manifest).
+ * @param {string} props.color - Emissive color.
+ * @param {number} [props.scale] - Size relative to the other satellites.
+ */
+function SatelliteModel({ modelPath, color, scale = 1 }) {
+  const { scene } = useGLTF(modelPath);
+  // Clone the scene (geometries stay shared with the cached GLB) and restyle its materials.
+  const { modifiedScene, fitScale, center } = useMemo(() => {
+    const clonedScene = scene.clone();
+    const restyled = new Map();
+
+    clonedScene.traverse((child) => {
+      if (child.isMesh) {
+        if (!restyled.has(child.material)) {
+          const material = child.material.clone();
+          material.emissive = new THREE.Color(color);
+          material.emissiveIntensity = 0.5;
+          material.metalness = 0.8;
+          material.roughness = 0.2;
+          restyled.set(child.material, material);
+        }
+        child.material = restyled.get(child.material);
+      }
+    });
+
+    const box = new THREE.Box3().setFromObject(clonedScene);
+    const size = box.getSize(new THREE.Vector3());
+    const largest = Math.max(size.x, size.y, size.z);
+    return {
+      modifiedScene: clonedScene,
+      fitScale: largest > 0 ? SATELLITE_MODEL_SIZE / largest : 1,
+      center: box.getCenter(new THREE.Vector3()),
+    };
+  }, [scene, color]);
+
+  return (
+    <group scale={fitScale * scale}>
+      <primitive object={modifiedScene} position={center.clone().negate()} />
+    </group>
+  );
+}
+
+/**
+ * PlaceholderSatellite Component: Generic bus with two solar panels, drawn for catalog entries
+ * without a model (or whose model is missing from the asset manifest).
+ * @param {object} props - Component properties.
+ * @param {string} props.color - Satellite color.
+ * @param {number} [props.scale] - Size relative to the other satellites.
+ */
+function PlaceholderSatellite({ color, scale = 1 }) {
+  const size = SATELLITE_MODEL_SIZE * scale;
+  const busMaterial = getSharedMaterial(`bus|${color}`, () => new THREE.MeshStandardMaterial({
+    color: '#cbd5e1', emissive: color, emissiveIntensity: 0.5, metalness: 0.8, roughness: 0.2,
+  }));
+  const panelMaterial = getSharedMaterial(`panel|${color}`, () => new THREE.MeshStandardMaterial({
+    color: '#1e3a8a', emissive: color, emissiveIntensity: 0.3, metalness: 0.6, roughness: 0.3,
+  }));
+  return (
+    <group>
+      <mesh geometry={UNIT_BOX_GEOMETRY} material={busMaterial} scale={[size * 0.25, size * 0.25, size * 0.35]} dispose={null} />
+      {[-1, 1].map((side) => (
+        <mesh
+          key={side}
+          geometry={UNIT_BOX_GEOMETRY}
+          material={panelMaterial}
+          position={[side * size * 0.32, 0, 0]}
+          scale={[size * 0.38, size * 0.01, size * 0.2]}
+          dispose={null}
+        />
+      ))}
+    </group>
+  );
+}
+
+/**
+ * Satellite Component: Renders a satellite at its SGP4-propagated position.
+ * The position is recomputed every frame for the simulation time, in the Earth-fixed frame.
+ * Level of detail: within the quality tier's `lodDistance` of the camera the full model is drawn
+ * (with its glow); farther away, a point sprite in the satellite's color.
+ * @param {object} props - Component properties.
+ * @param {object} props.satellite - Catalog entry (name, color, model URL or null, scale).
+ * @param {object} props.orbit - Orbit from createOrbit() (utils/tle).
+ * @param {boolean} props.isSelected - Whether the satellite is selected (keeps its label visible).
+ * @param {function} props.onSelect - Called with the NORAD id when the satellite is clicked.
+ */
+export function Satellite({ satellite, orbit, isSelected, onSelect }) {
+  const groupRef = useRef();
+  const modelRef = useRef();
+  const [hovered, setHovered] = useState(false);
+  const { settings } = useQuality();
+
+  const glowMaterial = getSharedMaterial(`glow|${satellite.color}|${isSelected}`, () => new THREE.MeshBasicMaterial({
+    color: satellite.color, transparent: true, opacity: isSelected ? 0.6 : 0.3,
+  }));
+  const spriteMaterial = getSharedMaterial(`sprite|${satellite.color}`, () => new THREE.SpriteMaterial({
+    map: getSpriteTexture(), color: satellite.color, transparent: true, depthWrite: false,
+  }));
+
+  // Animation loop to update the satellite position from its orbital elements.
+  useFrame(() => {
+    if (groupRef.current) {
+      const position = propagateOrbit(orbit, getSimulationTime());
+      // SGP4 fails for decayed orbits or element sets propagated too far from their epoch.
+      groupRef.current.visible = position !== null;
+      if (!position) return;
+      groupRef.current.position.set(...geodeticToVector3(position.lat, position.lon, position.altitude));
+      // Add slight self-rotation to the model for visual effect.
+      if (modelRef.current) {
+        modelRef.current.rotation.y += 0.02;
+        modelRef.current.rotation.x += 0.01;
+      }
+    }
+  });
+
+  const placeholder = <PlaceholderSatellite color={satellite.color} scale={satellite.scale} />;
+  const spriteSize = isSelected ? 0.09 : 0.06;
+
+  return (
+    <group
+      ref={groupRef}
+      onClick={(e) => {
+        // Keep the click from also reaching the globe surface behind the satellite.
+        e.stopPropagation();
+        onSelect(orbit.noradId);
+      }}
+      onPointerOver={() => setHovered(true)}
+      onPointerOut={() => setHovered(false)}
+    >
+      <Detailed distances={[0, settings.lodDistance]}>
+        <group>
+          <group ref={modelRef}>
+            {satellite.model ? (
+              // Each model loads on its own and falls back to the placeholder while loading or on failure.
+              <AssetErrorBoundary url={satellite.model} fallback={placeholder}>
+                <Suspense fallback={placeholder}>
+                  <SatelliteModel
+                    modelPath={satellite.model}
+                    color={satellite.color}
+                    scale={satellite.scale}
+                  />
+                </Suspense>
+              </AssetErrorBoundary>
+            ) : placeholder}
+          </group>
+
+          {/* Subtle glow sphere around the satellite */}
+          <mesh geometry={SATELLITE_GLOW_GEOMETRY} material={glowMaterial} dispose={null} />
+        </group>
+
+        <sprite material={spriteMaterial} scale={[spriteSize, spriteSize, 1]} dispose={null} />
+      </Detailed>
+
+      {/* HTML tooltip on hover or selection */}
+      {(hovered || isSelected) && (
+        <Html distanceFactor={10}>
+          <div 
+            className="text-xs whitespace-nowrap pointer-events-none px-2 py-1 rounded-md bg-gray-900/90 border-2 font-semibold" 
+            style={{ 
+              color: satellite.color,
+              borderColor: satellite.color + '80',
+              userSelect: 'none'
+            }}
+          >
+            {satellite.name}
+          </div>
+        </Html>
+      )}
+    </group>
+  );
+}
@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import { X, Satellite as SatelliteIcon, Crosshair } from 'lucide-react';
+import { formatCoordinates, formatDisplayDate } from '../utils/formatter';
+import { propagateOrbit } from '../utils/tle';
+import { getSimulationMillis } from '../utils/simulationClock';
+import { useSatellites } from './useSatellites';
+
+/**
+ * SatelliteDetailPanel Component: Mission metadata of the selected satellite (operator, launch,
+ * instruments and their data products) with its live position from the propagator.
+ * @param {object} props - Component properties.
+ * @param {number} props.noradId - NORAD id of the selected satellite.
+ * @param {boolean} props.isFollowing - Whether the camera follows the satellite.
+ * @param {function} props.onFollow - Starts or stops following the satellite.
+ * @param {function} props.onClose - Clears the selection.
+ */
+export function SatelliteDetailPanel({ noradId, isFollowing, onFollow, onClose }) {
+  const { orbits, getStyle } = useSatellites();
+  const [now, setNow] = useState(getSimulationMillis);
+
+  // Live values only need a couple of updates per second.
+  useEffect(() => {
+    const interval = setInterval(() => setNow(getSimulationMillis()), 500);
+    return () => clearInterval(interval);
+  }, []);
+
+  const orbit = orbits.find((candidate) => candidate.noradId === noradId);
+  if (!orbit) return null;
+  const satellite = getStyle(orbit);
+  const position = propagateOrbit(orbit, new Date(now));
+
+  const liveValues = position
+    ? [
+        ['ALTITUDE', `${position.altitude.toFixed(1)} km`],
+        ['VELOCITY', `${position.speed.toFixed(2)} km/s`],
+        ['POSITION', formatCoordinates(position.lat, position.lon)],
+      ]
+    : [];
+
+  return (
+    <div className="w-72 max-h-[50vh] overflow-y-auto bg-gray-900/90 backdrop-blur-xl border-2 rounded-2xl shadow-2xl shadow-cyan-500/30 text-cyan-100 text-xs p-4 space-y-3" style={{ borderColor: satellite.color + '80' }}>
+      <div className="flex items-start gap-2">
+        <SatelliteIcon className="w-4 h-4 mt-0.5 shrink-0" style={{ color: satellite.color }} />
+        <div className="min-w-0">
+          <p className="font-semibold text-sm" style={{ color: satellite.color }}>{satellite.name}</p>
+          <p className="font-mono text-cyan-200/70">NORAD {orbit.noradId} · {orbit.name}</p>
+        </div>
+        <button
+          onClick={onFollow}
+          className={`ml-auto p-1 rounded-lg hover:bg-cyan-500/20 ${isFollowing ? 'text-cyan-300 bg-cyan-500/20' : ''}`}
+          title={isFollowing ? 'Stop following' : 'Follow with the camera'}
+        >
+          <Crosshair className="w-4 h-4" />
+        </button>
+        <button onClick={onClose} className="p-1 rounded-lg hover:bg-cyan-500/20" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 font-mono">
+        <div>
+          <p className="text-cyan-200/60">OPERATOR</p>
+          <p>{satellite.operator || '—'}</p>
+        </div>
+        <div>
+          <p className="text-cyan-200/60">LAUNCH</p>
+          <p>{satellite.launchDate ? formatDisplayDate(satellite.launchDate.replaceAll('-', '')) : '—'}</p>
+        </div>
+        <div>
+          <p className="text-cyan-200/60">PERIOD</p>
+          <p>{orbit.periodMinutes.toFixed(1)} min</p>
+        </div>
+        {satellite.swath && (
+          <div>
+            <p className="text-cyan-200/60">SWATH</p>
+            <p>{satellite.swath.instrument} · {satellite.swath.widthKm} km</p>
+          </div>
+        )}
+        {liveValues.map(([label, value]) => (
+          <div key={label}>
+            <p className="text-cyan-200/60">{label}</p>
+            <p>{value}</p>
+          </div>
+        ))}
+      </div>
+      {!position && <p className="text-red-300">The element set cannot be propagated to the simulation time.</p>}
+
+      {satellite.instruments?.length > 0 && (
+        <div className="space-y-2 border-t border-cyan-500/30 pt-2">
+          <p className="font-mono font-semibold text-cyan-200/60">INSTRUMENTS</p>
+          {satellite.instruments.map((instrument) => (
+            <div key={instrument.name}>
+              <p className="font-semibold">{instrument.name}</p>
+              <p className="text-cyan-200/70">{instrument.products.join(' · ')}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
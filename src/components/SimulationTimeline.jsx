@@ -0,0 +1,126 @@
+import { useState, useEffect } from 'react';
+import { Play, Pause, RotateCcw, CalendarClock } from 'lucide-react';
+import { CLOCK_RATES, getSimulationMillis, pause, play, resetClock, setClockRate, setSimulationTime, useSimulationClock } from '../utils/simulationClock';
+
+/**
+ * Labels of the timeline playback speeds.
+ */
+const clockRateLabels = { 1: '1×', 10: '10×', 60: '1 min/s', 600: '10 min/s', 3600: '1 h/s' };
+
+const SCRUB_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a time as 'YYYY-MM-DDTHH:MM' in UTC, the value format of datetime-local inputs.
+ * @param {number} millis - Epoch milliseconds.
+ * @returns {string} The formatted time.
+ */
+const toDateTimeInput = (millis) => new Date(millis).toISOString().slice(0, 16);
+
+/**
+ * SimulationTimeline Component: Controls for the shared simulation clock — play/pause, speed,
+ * a ±24 h scrub bar, a UTC date/time picker and shortcuts to now or the dashboard's date.
+ * @param {object} props - Component properties.
+ * @param {Date|null} props.dashboardDate - Last day of the dashboard's date range (null if none).
+ */
+export function SimulationTimeline({ dashboardDate }) {
+  const { rate, paused } = useSimulationClock();
+  const [now, setNow] = useState(getSimulationMillis);
+  // Centre of the scrub bar; moved whenever the simulated time leaves the bar's window.
+  const [windowCenter, setWindowCenter] = useState(getSimulationMillis);
+
+  // The display only needs a few updates per second, not one per frame.
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const current = getSimulationMillis();
+      setNow(current);
+      setWindowCenter((center) => (Math.abs(current - center) > SCRUB_WINDOW_MS ? current : center));
+    }, 250);
+    return () => clearInterval(interval);
+  }, []);
+
+  const jumpTo = (millis) => {
+    setSimulationTime(millis);
+    setNow(millis);
+    setWindowCenter(millis);
+  };
+
+  const offsetHours = (now - windowCenter) / 3600000;
+
+  return (
+    <div className="absolute bottom-20 lg:bottom-6 right-6 z-10 w-96 max-w-[calc(100%-3rem)] bg-gray-900/90 backdrop-blur-xl border-2 border-cyan-500/40 rounded-2xl shadow-2xl shadow-cyan-500/30 text-cyan-100 text-xs p-3 space-y-2">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={paused ? play : pause}
+          className="p-2 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20"
+          title={paused ? 'Play' : 'Pause'}
+        >
+          {paused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+        </button>
+        <span className="font-mono font-semibold text-sm">{new Date(now).toISOString().replace('T', ' ').slice(0, 19)} UTC</span>
+        <button
+          onClick={() => {
+            resetClock();
+            jumpTo(Date.now());
+          }}
+          className="ml-auto flex items-center gap-1 px-2 py-1 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20 font-mono font-semibold"
+          title="Back to the present, in real time"
+        >
+          <RotateCcw className="w-3 h-3" /> NOW
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {CLOCK_RATES.map((option) => (
+          <button
+            key={option}
+            onClick={() => setClockRate(option)}
+            className={`px-2 py-1 rounded-lg border font-mono font-semibold transition-all ${
+              option === rate ? 'bg-cyan-500/30 border-cyan-400/60' : 'border-cyan-500/30 text-cyan-200/70 hover:bg-cyan-500/10'
+            }`}
+          >
+            {clockRateLabels[option]}
+          </button>
+        ))}
+      </div>
+      <div>
+        <input
+          type="range"
+          min={-24}
+          max={24}
+          step={0.05}
+          value={offsetHours}
+          onChange={(e) => {
+            setSimulationTime(windowCenter + Number(e.target.value) * 3600000);
+            setNow(getSimulationMillis());
+          }}
+          className="w-full accent-cyan-400"
+          aria-label="Scrub simulation time"
+        />
+        <div className="flex justify-between font-mono text-[10px] text-cyan-200/60">
+          <span>−24 H</span>
+          <span>{offsetHours >= 0 ? '+' : ''}{offsetHours.toFixed(1)} H</span>
+          <span>+24 H</span>
+        </div>
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          type="datetime-local"
+          value={toDateTimeInput(now)}
+          onChange={(e) => {
+            if (e.target.value) jumpTo(new Date(`${e.target.value}:00Z`).getTime());
+          }}
+          className="flex-1 bg-gray-800/80 border border-cyan-500/40 rounded-lg px-2 py-1 font-mono text-cyan-100"
+          aria-label="Simulation date and time (UTC)"
+        />
+        {dashboardDate && (
+          <button
+            onClick={() => jumpTo(Date.UTC(dashboardDate.getUTCFullYear(), dashboardDate.getUTCMonth(), dashboardDate.getUTCDate(), 12))}
+            className="flex items-center gap-1 px-2 py-1 rounded-lg border border-cyan-500/40 hover:bg-cyan-500/20 font-mono font-semibold"
+            title="Jump to noon UTC of the last day shown in the dashboard"
+          >
+            <CalendarClock className="w-3 h-3" /> DASHBOARD DATE
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
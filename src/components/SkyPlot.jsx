@@ -0,0 +1,50 @@
+
+
+/**
+ * SkyPlot Component: Polar plot of the sky seen from the location — zenith at the centre,
+ * horizon on the rim, north up and east to the right — with the track of each pass.
+ * @param {object} props - Component properties.
+ * @param {object[]} props.passes - Passes (with `key`, `color` and `track`) to draw.
+ * @param {string|null} props.selectedKey - Pass drawn highlighted.
+ * @param {function} props.onSelect - Called with the key of a clicked pass.
+ */
+export function SkyPlot({ passes, selectedKey, onSelect }) {
+  const size = 240;
+  const center = size / 2;
+  const radius = size / 2 - 16;
+  // Elevation maps linearly to the distance from the zenith.
+  const project = ({ azimuth, elevation }) => {
+    const distance = ((90 - Math.max(elevation, 0)) / 90) * radius;
+    const angle = (azimuth * Math.PI) / 180;
+    return [center + distance * Math.sin(angle), center - distance * Math.cos(angle)];
+  };
+
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-60 h-60 shrink-0" role="img" aria-label="Sky plot of satellite passes">
+      {[0, 30, 60].map((elevation) => (
+        <circle key={elevation} cx={center} cy={center} r={((90 - elevation) / 90) * radius} fill="none" stroke="#334155" strokeDasharray={elevation ? '3 3' : undefined} />
+      ))}
+      <line x1={center} y1={center - radius} x2={center} y2={center + radius} stroke="#334155" />
+      <line x1={center - radius} y1={center} x2={center + radius} y2={center} stroke="#334155" />
+      {[['N', center, 10], ['E', size - 6, center + 4], ['S', center, size - 2], ['W', 6, center + 4]].map(([label, x, y]) => (
+        <text key={label} x={x} y={y} fill="#94a3b8" fontSize="11" fontWeight="bold" textAnchor="middle">{label}</text>
+      ))}
+      {passes.map((pass) => {
+        const selected = pass.key === selectedKey;
+        const [riseX, riseY] = project(pass.track[0]);
+        return (
+          <g key={pass.key} onClick={() => onSelect(pass.key)} className="cursor-pointer">
+            <polyline
+              points={pass.track.map((point) => project(point).join(',')).join(' ')}
+              fill="none"
+              stroke={pass.color}
+              strokeWidth={selected ? 3 : 1.5}
+              opacity={selectedKey && !selected ? 0.3 : 0.9}
+            />
+            <circle cx={riseX} cy={riseY} r={selected ? 4 : 2.5} fill={pass.color} />
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
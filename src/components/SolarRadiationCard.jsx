@@ -0,0 +1,47 @@
+import { Sun } from 'lucide-react';
+import { SourceLabel, SunElevationLabel, CompletenessLabel } from './MetricLabels';
+
+/**
+ * SolarRadiationCard Component: Latest daily solar radiation of each satellite series, as mean
+ * irradiance (W/m²) and insolation (kWh/m²/day), with the provider each value came from.
+ * The progress bars are scaled to 350 W/m², about the highest daily mean reached at the surface.
+ * @param {object} props - Component properties.
+ * @param {object[]} props.items - Solar summary built by buildDashboardData().
+ * @param {object} props.location - Location (lat, lon), for the sun's current elevation.
+ */
+export function SolarRadiationCard({ items, location }) {
+  return (
+    <div className="sm:col-span-2 relative bg-gradient-to-br from-yellow-500/20 to-amber-500/20 backdrop-blur-xl p-5 rounded-2xl border-2 border-yellow-500/40 overflow-hidden">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-yellow-500/30 rounded-xl border-2 border-yellow-400/50">
+          <Sun className="w-6 h-6 text-yellow-300" />
+        </div>
+        <div>
+          <p className="text-xs text-yellow-100 tracking-wider font-semibold">SOLAR RADIATION</p>
+          <p className="text-[10px] font-mono text-yellow-100/60">DAILY MEAN W/m² · INSOLATION kWh/m²/day</p>
+        </div>
+        <SunElevationLabel lat={location.lat} lon={location.lon} />
+      </div>
+      <div className="space-y-3">
+        {items.map((item) => (
+          <div key={item.id}>
+            <div className="flex items-baseline justify-between gap-2">
+              <span className="text-xs font-semibold tracking-wider" style={{ color: item.color }}>{item.label.toUpperCase()}</span>
+              <span className="font-mono text-sm font-bold text-yellow-100">
+                {item.watts === null ? '—' : `${item.watts} W/m²`}
+                <span className="ml-2 text-yellow-100/60">{item.insolation === null ? '' : `${item.insolation} kWh/m²/day`}</span>
+              </span>
+            </div>
+            <div className="h-1 mt-1 bg-yellow-500/20 rounded-full overflow-hidden">
+              <div className="h-full rounded-full" style={{ width: `${Math.min(((item.watts || 0) / 350) * 100, 100)}%`, backgroundColor: item.color }}></div>
+            </div>
+            <div className="flex items-center justify-between">
+              <CompletenessLabel value={item.completeness} />
+              <SourceLabel name={item.source || 'Unavailable'} />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
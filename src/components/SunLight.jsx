@@ -0,0 +1,22 @@
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { latLonToVector3 } from '../utils/geo';
+import { getSimulationTime } from '../utils/simulationClock';
+import { getSunPosition } from '../utils/astronomy';
+
+/**
+ * SunLight Component: Directional light pointing from the Sun's true direction at the
+ * simulation time (in the scene's inertial world frame, see Earth).
+ */
+export function SunLight() {
+  const lightRef = useRef();
+
+  useFrame(() => {
+    if (lightRef.current) {
+      const { rightAscension, declination } = getSunPosition(getSimulationTime());
+      lightRef.current.position.set(...latLonToVector3(declination * (180 / Math.PI), rightAscension * (180 / Math.PI), 10));
+    }
+  });
+
+  return <directionalLight ref={lightRef} intensity={1} />;
+}
@@ -0,0 +1,128 @@
+import { useRef, useEffect, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { geodeticToVector3, latLonToVector3 } from '../utils/geo';
+import { getCrossTrackPoints, getGroundTrackPoint } from '../utils/swath';
+import { getSimulationMillis } from '../utils/simulationClock';
+import { useSteppedSimulationTime } from './useSteppedSimulationTime';
+
+const SWATH_RADIUS = 2.004;
+
+/**
+ * Number of cross-track points a swath is drawn with: one every ~300 km, so wide swaths follow
+ * the globe's curvature instead of cutting under its surface.
+ * @param {number} widthKm - Full swath width.
+ * @returns {number} Points across the swath (at least 2).
+ */
+const getSwathPointCount = (widthKm) => Math.max(2, Math.ceil(widthKm / 300) + 1);
+
+/**
+ * SwathCone Component: Instrument field of view, a fan from the satellite down to its current
+ * swath on the ground, updated every frame in the Earth-fixed frame.
+ * @param {object} props - Component properties.
+ * @param {object} props.orbit - Orbit from createOrbit().
+ * @param {string} props.color - Satellite color.
+ * @param {number} props.widthKm - Full swath width.
+ */
+export function SwathCone({ orbit, color, widthKm }) {
+  const count = getSwathPointCount(widthKm);
+  // Vertex 0 is the satellite; the cross-track points follow, joined as a triangle fan.
+  const mesh = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((count + 1) * 3), 3));
+    geometry.setIndex(Array.from({ length: count - 1 }, (_, index) => [0, index + 1, index + 2]).flat());
+    return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color, transparent: true, opacity: 0.15, side: THREE.DoubleSide, depthWrite: false,
+    }));
+  }, [color, count]);
+
+  useEffect(() => () => {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }, [mesh]);
+
+  useFrame(() => {
+    const center = getGroundTrackPoint(orbit, getSimulationMillis());
+    mesh.visible = center !== null;
+    if (!center) return;
+    const attribute = mesh.geometry.attributes.position;
+    attribute.array.set([
+      ...geodeticToVector3(center.lat, center.lon, center.altitude),
+      ...getCrossTrackPoints(center, widthKm, count).flatMap((point) => latLonToVector3(point.lat, point.lon, SWATH_RADIUS)),
+    ]);
+    attribute.needsUpdate = true;
+    mesh.geometry.computeBoundingSphere();
+  });
+
+  return <primitive object={mesh} />;
+}
+
+/**
+ * SwathTrail Component: Ground imaged by an instrument over the past `hours` (accumulated
+ * coverage), drawn as a band along the ground track in the Earth-fixed frame.
+ * @param {object} props - Component properties.
+ * @param {object} props.orbit - Orbit from createOrbit().
+ * @param {string} props.color - Satellite color.
+ * @param {number} props.widthKm - Full swath width.
+ * @param {number} props.hours - Length of the coverage window.
+ */
+export function SwathTrail({ orbit, color, widthKm, hours }) {
+  // Long windows are sampled more coarsely to keep the band's vertex count bounded.
+  const stepMs = (hours > 1 ? 60 : 30) * 1000;
+  const time = useSteppedSimulationTime(stepMs);
+  // Cross-track samples keyed by step-aligned time, kept between rebuilds so each update
+  // only propagates the steps that entered the window.
+  const cacheRef = useRef({ orbit: null, widthKm: null, samples: new Map() });
+
+  const geometry = useMemo(() => {
+    if (cacheRef.current.orbit !== orbit || cacheRef.current.widthKm !== widthKm) {
+      cacheRef.current = { orbit, widthKm, samples: new Map() };
+    }
+    const { samples } = cacheRef.current;
+    const end = Math.floor(time / stepMs) * stepMs;
+    const start = end - hours * 3600000;
+    samples.forEach((_, key) => {
+      if (key < start || key > end) samples.delete(key);
+    });
+
+    const count = getSwathPointCount(widthKm);
+    const positions = [];
+    const indices = [];
+    let previousBase = -1;
+    for (let sampleTime = start; sampleTime <= end; sampleTime += stepMs) {
+      if (!samples.has(sampleTime)) {
+        const center = getGroundTrackPoint(orbit, sampleTime);
+        samples.set(sampleTime, center && getCrossTrackPoints(center, widthKm, count)
+          .flatMap((point) => latLonToVector3(point.lat, point.lon, SWATH_RADIUS)));
+      }
+      const points = samples.get(sampleTime);
+      if (!points) {
+        // SGP4 failed: leave a gap instead of bridging it.
+        previousBase = -1;
+        continue;
+      }
+      const base = positions.length / 3;
+      positions.push(...points);
+      if (previousBase >= 0) {
+        for (let index = 0; index < count - 1; index += 1) {
+          indices.push(previousBase + index, base + index, previousBase + index + 1);
+          indices.push(previousBase + index + 1, base + index, base + index + 1);
+        }
+      }
+      previousBase = base;
+    }
+
+    const built = new THREE.BufferGeometry();
+    built.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    built.setIndex(indices);
+    return built;
+  }, [orbit, widthKm, hours, time, stepMs]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <mesh geometry={geometry}>
+      <meshBasicMaterial color={color} transparent opacity={0.25} side={THREE.DoubleSide} depthWrite={false} />
+    </mesh>
+  );
+}
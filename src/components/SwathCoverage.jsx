@@ -0,0 +1,147 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Sun, Eye, Loader2, Moon } from 'lucide-react';
+import { MAX_ELEMENT_AGE_DAYS, getElementAgeDays } from '../utils/tle';
+import { findSwathCoverage } from '../utils/swath';
+import { mapWhenIdle } from '../utils/idleWork';
+import { getSimulationMillis, setSimulationTime } from '../utils/simulationClock';
+import { useSatellites } from './useSatellites';
+
+/**
+ * SwathCoverage Component: Whether the location fell inside each instrument's swath on a UTC day,
+ * with the overpass times, the distance from the ground track and whether it was daytime there
+ * (optical instruments only image the day side). Clicking a time moves the simulation clock to it.
+ * The day picker is limited to the days the loaded elements cover (MAX_ELEMENT_AGE_DAYS around
+ * their epochs); satellites whose elements are too far from the day get no answer, and every row
+ * shows the age of the elements it was computed from.
+ * @param {object} props - Component properties.
+ * @param {object} props.location - Location (lat, lon).
+ */
+export function SwathCoverage({ location }) {
+  const { orbits, getStyle } = useSatellites();
+  const [day, setDay] = useState(() => new Date(getSimulationMillis()).toISOString().slice(0, 10));
+
+  const [rows, setRows] = useState([]);
+  const [computing, setComputing] = useState(true);
+
+  const instruments = useMemo(
+    () => orbits.map((orbit) => ({ orbit, style: getStyle(orbit) })).filter(({ style }) => style.swath),
+    [orbits, getStyle],
+  );
+  // Days on which at least one instrument has usable elements.
+  const dayLimits = useMemo(() => {
+    if (instruments.length === 0) return null;
+    const epochs = instruments.map(({ orbit }) => orbit.epoch.getTime());
+    const margin = MAX_ELEMENT_AGE_DAYS * 86400000;
+    return {
+      min: new Date(Math.min(...epochs) - margin).toISOString().slice(0, 10),
+      max: new Date(Math.max(...epochs) + margin - 86400000).toISOString().slice(0, 10),
+    };
+  }, [instruments]);
+
+  const lat = location.lat;
+  const lon = location.lon;
+  // One instrument per idle callback, like the pass predictions.
+  useEffect(() => {
+    const start = Date.parse(`${day}T00:00:00Z`);
+    setComputing(true);
+    const controller = new AbortController();
+    mapWhenIdle(Number.isNaN(start) ? [] : instruments, ({ orbit, style }) => {
+      const ageDays = getElementAgeDays(orbit, start, start + 86400000);
+      return {
+        noradId: orbit.noradId,
+        name: style.name,
+        color: style.color,
+        swath: style.swath,
+        epoch: orbit.epoch,
+        ageDays,
+        // Too far from the epoch, SGP4 misplaces the satellite by more than a swath width.
+        overpasses: ageDays > MAX_ELEMENT_AGE_DAYS
+          ? null
+          : findSwathCoverage(orbit, { lat, lon }, start, start + 86400000, style.swath.widthKm),
+      };
+    }, { signal: controller.signal })
+      .then((results) => {
+        setRows(results);
+        setComputing(false);
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Error computing swath coverage:', err);
+        setRows([]);
+        setComputing(false);
+      });
+    return () => controller.abort();
+  }, [instruments, lat, lon, day]);
+
+  return (
+    <div className="bg-gradient-to-br from-cyan-500/10 to-blue-500/10 backdrop-blur-xl p-6 rounded-2xl border-2 border-cyan-500/40 mt-4 shadow-lg shadow-cyan-500/10">
+      <div className="flex items-center gap-2 mb-4 flex-wrap">
+        <Eye className="w-5 h-5 text-cyan-300" />
+        <h3 className="text-lg font-bold text-cyan-100 drop-shadow-[0_0_8px_rgba(6,182,212,0.5)]">SWATH COVERAGE</h3>
+        <input
+          type="date"
+          value={day}
+          onChange={(e) => setDay(e.target.value)}
+          min={dayLimits?.min}
+          max={dayLimits?.max}
+          className="ml-auto bg-gray-950/60 border border-cyan-500/40 rounded-lg px-2 py-1 text-xs font-mono text-cyan-100 [color-scheme:dark]"
+          aria-label="Coverage day (UTC)"
+        />
+      </div>
+      {computing ? (
+        <p className="flex items-center gap-2 text-sm text-cyan-200"><Loader2 className="w-4 h-4 animate-spin" /> COMPUTING COVERAGE...</p>
+      ) : rows.length === 0 ? (
+        <p className="text-sm text-cyan-200">No imaging satellites loaded.</p>
+      ) : (
+        <table className="w-full text-xs font-mono text-cyan-100">
+          <thead className="text-cyan-200/70 text-left">
+            <tr>
+              <th className="py-1 pr-2">SATELLITE</th>
+              <th className="py-1 pr-2">INSTRUMENT</th>
+              <th className="py-1 pr-2">IMAGED (UTC)</th>
+              <th className="py-1">ELEMENTS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.noradId} className="border-t border-cyan-500/10 align-top">
+                <td className="py-1 pr-2">
+                  <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: row.color }}></span>
+                  {row.name}
+                </td>
+                <td className="py-1 pr-2">{row.swath.instrument} <span className="text-cyan-200/60">{row.swath.widthKm} km</span></td>
+                <td className="py-1 pr-2">
+                  {row.overpasses === null ? (
+                    <span className="text-amber-300">NO ANSWER · ELEMENTS TOO OLD FOR THIS DAY</span>
+                  ) : row.overpasses.length === 0 ? (
+                    <span className="text-cyan-200/50">NOT IMAGED</span>
+                  ) : (
+                    <div className="flex flex-wrap gap-1">
+                      {row.overpasses.map((overpass) => (
+                        <button
+                          key={overpass.time}
+                          onClick={() => setSimulationTime(overpass.time)}
+                          className="flex items-center gap-1 px-1.5 rounded border border-cyan-500/40 hover:bg-cyan-500/20"
+                          title={`${Math.abs(overpass.offsetKm).toFixed(0)} km ${overpass.offsetKm >= 0 ? 'right' : 'left'} of the ground track, ${overpass.sunlit ? 'daytime' : 'night'}. Move the simulation clock here.`}
+                        >
+                          {overpass.sunlit ? <Sun className="w-3 h-3 text-yellow-300" /> : <Moon className="w-3 h-3 text-slate-400" />}
+                          {new Date(overpass.time).toISOString().slice(11, 16)}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </td>
+                <td
+                  className={`py-1 whitespace-nowrap ${row.overpasses === null ? 'text-amber-300' : 'text-cyan-200/60'}`}
+                  title={`Element epoch ${row.epoch.toISOString().slice(0, 16).replace('T', ' ')} UTC`}
+                >
+                  {row.ageDays.toFixed(1)} D FROM EPOCH
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import { useMemo } from 'react';
+import { Line as PathLine } from '@react-three/drei';
+import { latLonToVector3 } from '../utils/geo';
+import { getTerminator } from '../utils/astronomy';
+import { TRACK_RADIUS } from './OrbitTracks';
+import { useSteppedSimulationTime } from './useSteppedSimulationTime';
+
+/**
+ * Terminator Component: Day/night boundary line on the globe, in the Earth-fixed frame.
+ * The sun moves a quarter of a degree per simulated minute, so it is rebuilt once a minute.
+ */
+export function Terminator() {
+  const time = useSteppedSimulationTime(60 * 1000);
+  const points = useMemo(
+    () => getTerminator(new Date(time)).map((point) => latLonToVector3(point.lat, point.lon, TRACK_RADIUS)),
+    [time],
+  );
+  return <PathLine points={points} color="#fde047" lineWidth={1.5} transparent opacity={0.8} />;
+}
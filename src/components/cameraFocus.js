@@ -0,0 +1,4 @@
+/**
+ * Camera mode of the overview (globe centred, auto-rotation allowed).
+ */
+export const OVERVIEW_FOCUS = { type: 'overview' };
@@ -0,0 +1,147 @@
+import { Wind, Droplets, Droplet, Sun, SunDim, Thermometer, ThermometerSun, ThermometerSnowflake, CloudRain, Cloud, Gauge, Sprout, Leaf } from 'lucide-react';
+
+/**
+ * Lucide icons for the `icon` names used in the parameter catalog.
+ */
+export const parameterIcons = {
+  'thermometer': Thermometer,
+  'thermometer-sun': ThermometerSun,
+  'thermometer-snowflake': ThermometerSnowflake,
+  'droplet': Droplet,
+  'droplets': Droplets,
+  'cloud-rain': CloudRain,
+  'cloud': Cloud,
+  'sprout': Sprout,
+  'leaf': Leaf,
+  'wind': Wind,
+  'sun': Sun,
+  'sun-dim': SunDim,
+  'gauge': Gauge,
+};
+
+/**
+ * Tailwind class sets for metric cards, keyed by the `theme` of a parameter catalog entry.
+ * Classes are spelled out in full so Tailwind can detect them at build time.
+ */
+export const metricThemes = {
+  orange: {
+    card: 'from-orange-500/20 to-red-500/20 border-orange-500/40 hover:border-orange-400/60',
+    overlay: 'from-orange-500/0 to-orange-500/10',
+    iconBox: 'bg-orange-500/30 border-orange-400/50',
+    icon: 'text-orange-300',
+    text: 'text-orange-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(251,146,60,0.5)]',
+    track: 'bg-orange-500/30',
+    bar: 'from-orange-500 to-red-500',
+  },
+  red: {
+    card: 'from-red-500/20 to-rose-500/20 border-red-500/40 hover:border-red-400/60',
+    overlay: 'from-red-500/0 to-red-500/10',
+    iconBox: 'bg-red-500/30 border-red-400/50',
+    icon: 'text-red-300',
+    text: 'text-red-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(239,68,68,0.5)]',
+    track: 'bg-red-500/30',
+    bar: 'from-red-500 to-rose-500',
+  },
+  sky: {
+    card: 'from-sky-500/20 to-blue-500/20 border-sky-500/40 hover:border-sky-400/60',
+    overlay: 'from-sky-500/0 to-sky-500/10',
+    iconBox: 'bg-sky-500/30 border-sky-400/50',
+    icon: 'text-sky-300',
+    text: 'text-sky-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(56,189,248,0.5)]',
+    track: 'bg-sky-500/30',
+    bar: 'from-sky-500 to-blue-500',
+  },
+  teal: {
+    card: 'from-teal-500/20 to-cyan-500/20 border-teal-500/40 hover:border-teal-400/60',
+    overlay: 'from-teal-500/0 to-teal-500/10',
+    iconBox: 'bg-teal-500/30 border-teal-400/50',
+    icon: 'text-teal-300',
+    text: 'text-teal-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(45,212,191,0.5)]',
+    track: 'bg-teal-500/30',
+    bar: 'from-teal-500 to-cyan-500',
+  },
+  cyan: {
+    card: 'from-blue-500/20 to-cyan-500/20 border-cyan-500/40 hover:border-cyan-400/60',
+    overlay: 'from-cyan-500/0 to-cyan-500/10',
+    iconBox: 'bg-cyan-500/30 border-cyan-400/50',
+    icon: 'text-cyan-300',
+    text: 'text-cyan-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(6,182,212,0.5)]',
+    track: 'bg-cyan-500/30',
+    bar: 'from-blue-500 to-cyan-500',
+  },
+  indigo: {
+    card: 'from-indigo-500/20 to-violet-500/20 border-indigo-500/40 hover:border-indigo-400/60',
+    overlay: 'from-indigo-500/0 to-indigo-500/10',
+    iconBox: 'bg-indigo-500/30 border-indigo-400/50',
+    icon: 'text-indigo-300',
+    text: 'text-indigo-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(129,140,248,0.5)]',
+    track: 'bg-indigo-500/30',
+    bar: 'from-indigo-500 to-violet-500',
+  },
+  blue: {
+    card: 'from-blue-500/20 to-indigo-500/20 border-blue-500/40 hover:border-blue-400/60',
+    overlay: 'from-blue-500/0 to-blue-500/10',
+    iconBox: 'bg-blue-500/30 border-blue-400/50',
+    icon: 'text-blue-300',
+    text: 'text-blue-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(59,130,246,0.5)]',
+    track: 'bg-blue-500/30',
+    bar: 'from-blue-500 to-indigo-500',
+  },
+  lime: {
+    card: 'from-lime-500/20 to-green-500/20 border-lime-500/40 hover:border-lime-400/60',
+    overlay: 'from-lime-500/0 to-lime-500/10',
+    iconBox: 'bg-lime-500/30 border-lime-400/50',
+    icon: 'text-lime-300',
+    text: 'text-lime-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(163,230,53,0.5)]',
+    track: 'bg-lime-500/30',
+    bar: 'from-lime-500 to-green-500',
+  },
+  green: {
+    card: 'from-green-500/20 to-emerald-500/20 border-green-500/40 hover:border-green-400/60',
+    overlay: 'from-green-500/0 to-green-500/10',
+    iconBox: 'bg-green-500/30 border-green-400/50',
+    icon: 'text-green-300',
+    text: 'text-green-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(16,185,129,0.5)]',
+    track: 'bg-green-500/30',
+    bar: 'from-green-500 to-emerald-500',
+  },
+  yellow: {
+    card: 'from-yellow-500/20 to-amber-500/20 border-yellow-500/40 hover:border-yellow-400/60',
+    overlay: 'from-yellow-500/0 to-yellow-500/10',
+    iconBox: 'bg-yellow-500/30 border-yellow-400/50',
+    icon: 'text-yellow-300',
+    text: 'text-yellow-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(234,179,8,0.5)]',
+    track: 'bg-yellow-500/30',
+    bar: 'from-yellow-500 to-amber-500',
+  },
+  slate: {
+    card: 'from-slate-500/20 to-gray-500/20 border-slate-500/40 hover:border-slate-400/60',
+    overlay: 'from-slate-500/0 to-slate-500/10',
+    iconBox: 'bg-slate-500/30 border-slate-400/50',
+    icon: 'text-slate-300',
+    text: 'text-slate-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(148,163,184,0.5)]',
+    track: 'bg-slate-500/30',
+    bar: 'from-slate-500 to-gray-500',
+  },
+  purple: {
+    card: 'from-purple-500/20 to-fuchsia-500/20 border-purple-500/40 hover:border-purple-400/60',
+    overlay: 'from-purple-500/0 to-purple-500/10',
+    iconBox: 'bg-purple-500/30 border-purple-400/50',
+    icon: 'text-purple-300',
+    text: 'text-purple-100',
+    glow: 'drop-shadow-[0_0_8px_rgba(168,85,247,0.5)]',
+    track: 'bg-purple-500/30',
+    bar: 'from-purple-500 to-fuchsia-500',
+  },
+};
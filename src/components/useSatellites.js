@@ -0,0 +1,24 @@
+import { useMemo } from 'react';
+import { useOrbitElements } from '../utils/orbitStore';
+import { isSatelliteHidden, useSatelliteCatalog } from '../utils/satelliteCatalog';
+
+const unknownSatelliteColor = '#e2e8f0';
+
+/**
+ * useSatellites: Matches the loaded orbits with their satellite catalog entries
+ * (utils/satelliteCatalog). Element sets without an entry get a neutral style and the placeholder model.
+ * @returns {{orbits: object[], getStyle: function}} The orbits of the visible satellites, and a
+ *   function returning an orbit's catalog entry, or a neutral style named after its TLE.
+ */
+export const useSatellites = () => {
+  const { orbits } = useOrbitElements();
+  const { satellites, hiddenIds } = useSatelliteCatalog();
+  return useMemo(() => {
+    const getStyle = (orbit) =>
+      satellites.find((sat) => sat.noradId === orbit.noradId) || { name: orbit.name, color: unknownSatelliteColor, instruments: [], scale: 1 };
+    return {
+      orbits: orbits.filter((orbit) => !isSatelliteHidden(getStyle(orbit), hiddenIds)),
+      getStyle,
+    };
+  }, [orbits, satellites, hiddenIds]);
+};
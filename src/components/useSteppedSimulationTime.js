@@ -0,0 +1,18 @@
+import { useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { getSimulationMillis } from '../utils/simulationClock';
+
+/**
+ * useSteppedSimulationTime: Simulation time that only updates once it has moved by `stepMs`,
+ * for geometry that is expensive to rebuild every frame (orbit samples).
+ * @param {number} stepMs - Simulated milliseconds between updates.
+ * @returns {number} Simulation time in epoch milliseconds.
+ */
+export function useSteppedSimulationTime(stepMs) {
+  const [time, setTime] = useState(getSimulationMillis);
+  useFrame(() => {
+    const current = getSimulationMillis();
+    if (Math.abs(current - time) >= stepMs) setTime(current);
+  });
+  return time;
+}
@@ -0,0 +1,67 @@
+/**
+ * Picks a chart granularity that keeps the number of points readable for the range length.
+ * @param {number} days - Number of days in the range.
+ * @returns {'daily'|'weekly'|'monthly'} The granularity.
+ */
+export const chooseGranularity = (days) => {
+  if (days <= 62) return 'daily';
+  if (days <= 366) return 'weekly';
+  return 'monthly';
+};
+
+/**
+ * Returns the bucket key (a 'YYYYMMDD' string) a day belongs to.
+ * Weeks start on Monday; months are keyed by their first day.
+ * @param {string} dateKey - Day in 'YYYYMMDD' format.
+ * @param {'daily'|'weekly'|'monthly'} granularity - Bucket size.
+ * @returns {string} The bucket key.
+ */
+const bucketKey = (dateKey, granularity) => {
+  if (granularity === 'monthly') return `${dateKey.slice(0, 6)}01`;
+  if (granularity === 'weekly') {
+    const date = new Date(Date.UTC(Number(dateKey.slice(0, 4)), Number(dateKey.slice(4, 6)) - 1, Number(dateKey.slice(6, 8))));
+    const offset = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - offset);
+    return date.toISOString().split('T')[0].replace(/-/g, '');
+  }
+  return dateKey;
+};
+
+/**
+ * Formats a bucket key as a short chart axis label.
+ * @param {string} key - Bucket key in 'YYYYMMDD' format.
+ * @param {'daily'|'weekly'|'monthly'} granularity - Bucket size.
+ * @returns {string} 'MM/DD' for days and weeks, 'MM/YYYY' for months.
+ */
+export const formatBucketLabel = (key, granularity) =>
+  granularity === 'monthly' ? `${key.slice(4, 6)}/${key.slice(0, 4)}` : `${key.slice(4, 6)}/${key.slice(6, 8)}`;
+
+/**
+ * aggregateSeries: Averages daily rows into daily, weekly or monthly buckets.
+ * Null values are ignored; a bucket with no values for a field keeps null for it.
+ * @param {object[]} rows - Daily rows, each with a `dateKey` ('YYYYMMDD') and numeric fields.
+ * @param {'daily'|'weekly'|'monthly'} granularity - Bucket size.
+ * @param {string[]} fields - Numeric fields to average.
+ * @param {function} [round] - Rounds an averaged value, called as round(field, value); defaults to one decimal.
+ * @returns {object[]} One row per bucket with `dateKey`, `date` (axis label) and the averaged fields.
+ */
+export function aggregateSeries(rows, granularity, fields, round = (field, value) => parseFloat(value.toFixed(1))) {
+  const buckets = new Map();
+  rows.forEach((row) => {
+    const key = bucketKey(row.dateKey, granularity);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(row);
+  });
+
+  return [...buckets.entries()].map(([key, bucketRows]) => {
+    const aggregated = { dateKey: key, date: formatBucketLabel(key, granularity) };
+    fields.forEach((field) => {
+      const values = bucketRows.map((row) => row[field]).filter((value) => value !== null && value !== undefined);
+      aggregated[field] = values.length > 0
+        ? round(field, values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null;
+    });
+    return aggregated;
+  });
+}
+
@@ -0,0 +1,34 @@
+import { createStore } from './createStore';
+
+/**
+ * Store of the 3D assets (models, textures) that failed to load. The scene draws a fallback for
+ * each of them, so failures are only reported, never fatal.
+ *
+ * State: `{ failed: [{ url, message }], dismissed }`; `dismissed` is the number of failures the
+ * user has already acknowledged, so a later failure shows the notice again.
+ */
+const { getState, setState, useStore } = createStore({ failed: [], dismissed: 0 });
+
+/**
+ * useAssetErrors: React hook returning the failed-assets state, re-rendering on changes.
+ * @returns {object} The store state described above.
+ */
+export const useAssetErrors = useStore;
+
+/**
+ * Records an asset that failed to load (once per URL).
+ * @param {string} url - Asset URL.
+ * @param {Error|string} [error] - Load error.
+ */
+export const reportAssetError = (url, error) => {
+  const { failed } = getState();
+  if (failed.some((item) => item.url === url)) return;
+  console.warn(`Asset failed to load: ${url}`, error);
+  const message = typeof error === 'string' ? error : error?.message || 'Unknown error';
+  setState({ failed: [...failed, { url, message }] });
+};
+
+/**
+ * Hides the notice until another asset fails.
+ */
+export const dismissAssetErrors = () => setState({ dismissed: getState().failed.length });
@@ -0,0 +1,73 @@
+import { gstime } from 'satellite.js';
+import { destinationPoint, EARTH_RADIUS_KM } from './geo';
+
+/**
+ * Low-precision solar ephemeris (about 0.01° over 1950–2050, from the Astronomical Almanac's
+ * approximation), which is plenty for lighting the globe.
+ */
+
+const DEG = Math.PI / 180;
+
+/**
+ * getSunPosition: Apparent equatorial coordinates of the Sun.
+ * @param {Date} date - Time of interest.
+ * @returns {{rightAscension: number, declination: number}} Angles in radians.
+ */
+export function getSunPosition(date) {
+  // Days since J2000.0 (2000-01-01 12:00 TT, ignoring the TT-UTC offset).
+  const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+  const meanLongitude = (280.460 + 0.9856474 * n) * DEG;
+  const meanAnomaly = (357.528 + 0.9856003 * n) * DEG;
+  const eclipticLongitude = meanLongitude + (1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG;
+  const obliquity = (23.439 - 0.0000004 * n) * DEG;
+  return {
+    rightAscension: Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude)),
+    declination: Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude)),
+  };
+}
+
+/**
+ * Earth rotation angle (Greenwich mean sidereal time): the angle between the vernal equinox
+ * and the Greenwich meridian.
+ * @param {Date} date - Time of interest.
+ * @returns {number} Angle in radians, between 0 and 2π.
+ */
+export const getEarthRotationAngle = (date) => gstime(date);
+
+/**
+ * getSubsolarPoint: Point on the Earth where the Sun is at the zenith.
+ * @param {Date} date - Time of interest.
+ * @returns {{lat: number, lon: number}} Coordinates in decimal degrees, lon in [-180, 180).
+ */
+export function getSubsolarPoint(date) {
+  const { rightAscension, declination } = getSunPosition(date);
+  const lon = (rightAscension - getEarthRotationAngle(date)) / DEG;
+  return { lat: declination / DEG, lon: ((lon % 360) + 540) % 360 - 180 };
+}
+
+/**
+ * getSolarElevation: Geometric height of the Sun above the horizon at a place (no refraction).
+ * @param {Date} date - Time of interest.
+ * @param {number} lat - Latitude in decimal degrees.
+ * @param {number} lon - Longitude in decimal degrees.
+ * @returns {number} Elevation in degrees; negative when the Sun is below the horizon.
+ */
+export function getSolarElevation(date, lat, lon) {
+  const sun = getSubsolarPoint(date);
+  const sinElevation = Math.sin(lat * DEG) * Math.sin(sun.lat * DEG) +
+    Math.cos(lat * DEG) * Math.cos(sun.lat * DEG) * Math.cos((lon - sun.lon) * DEG);
+  return Math.asin(sinElevation) / DEG;
+}
+
+/**
+ * getTerminator: The day/night boundary, the great circle 90° away from the subsolar point.
+ * @param {Date} date - Time of interest.
+ * @param {number} [count] - Number of points (the first one is repeated at the end to close the line).
+ * @returns {Array<{lat: number, lon: number}>} Points in decimal degrees.
+ */
+export function getTerminator(date, count = 120) {
+  const sun = getSubsolarPoint(date);
+  const quarterCircle = (Math.PI / 2) * EARTH_RADIUS_KM;
+  return Array.from({ length: count + 1 }, (_, index) =>
+    destinationPoint(sun.lat, sun.lon, (index / count) * 360, quarterCircle));
+}
@@ -0,0 +1,136 @@
+/**
+ * Image export of Recharts panels. Charts are rendered as SVG, so the SVG is serialized
+ * directly; PNG export rasterizes that SVG on a canvas.
+ */
+import { downloadFile } from './download';
+
+const CHART_BACKGROUND = '#0f172a';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const HEADER_LINE_HEIGHT = 20;
+
+/**
+ * Creates an SVG text element.
+ * @param {string} text - Text content.
+ * @param {object} attributes - SVG attributes.
+ * @returns {SVGTextElement} The element.
+ */
+const createText = (text, attributes) => {
+  const element = document.createElementNS(SVG_NS, 'text');
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  element.textContent = text;
+  return element;
+};
+
+/**
+ * Serializes the chart SVG inside a container as a standalone document. An opaque background
+ * keeps the dark theme's light strokes readable, and a header with the title and a legend
+ * (the on-screen charts have none) is added above the plot.
+ * @param {HTMLElement} container - Element wrapping a Recharts chart.
+ * @param {object} [options] - Options.
+ * @param {string} [options.title] - Title written above the chart.
+ * @param {Array<{label: string, color: string}>} [options.legend] - Series shown in the legend.
+ * @returns {{markup: string, width: number, height: number}} The SVG document and its size.
+ */
+const serializeChart = (container, { title, legend = [] } = {}) => {
+  const svg = container?.querySelector('svg.recharts-surface');
+  if (!svg) throw new Error('No chart to export');
+  const { width, height: chartHeight } = svg.getBoundingClientRect();
+
+  // Lay the legend out in rows, estimating label widths from the character count.
+  const legendRows = [[]];
+  let rowWidth = 0;
+  legend.forEach((item) => {
+    const itemWidth = 24 + item.label.length * 6.5;
+    if (rowWidth + itemWidth > width - 16 && legendRows[legendRows.length - 1].length > 0) {
+      legendRows.push([]);
+      rowWidth = 0;
+    }
+    legendRows[legendRows.length - 1].push({ ...item, x: 8 + rowWidth });
+    rowWidth += itemWidth;
+  });
+  const headerHeight = (title ? HEADER_LINE_HEIGHT + 4 : 0) + (legend.length > 0 ? legendRows.length * HEADER_LINE_HEIGHT : 0);
+  const height = chartHeight + headerHeight;
+
+  const root = document.createElementNS(SVG_NS, 'svg');
+  root.setAttribute('xmlns', SVG_NS);
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  root.setAttribute('font-family', 'sans-serif');
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', CHART_BACKGROUND);
+  root.appendChild(background);
+
+  let y = 0;
+  if (title) {
+    y += HEADER_LINE_HEIGHT;
+    root.appendChild(createText(title, { x: 8, y, fill: '#e2e8f0', 'font-size': 14, 'font-weight': 'bold' }));
+    y += 4;
+  }
+  if (legend.length > 0) {
+    legendRows.forEach((row) => {
+      y += HEADER_LINE_HEIGHT;
+      row.forEach((item) => {
+        const swatch = document.createElementNS(SVG_NS, 'rect');
+        Object.entries({ x: item.x, y: y - 9, width: 14, height: 4, fill: item.color }).forEach(([name, value]) => swatch.setAttribute(name, value));
+        root.appendChild(swatch);
+        root.appendChild(createText(item.label, { x: item.x + 18, y: y - 4, fill: '#cbd5e1', 'font-size': 11 }));
+      });
+    });
+  }
+
+  const chart = svg.cloneNode(true);
+  chart.setAttribute('x', 0);
+  chart.setAttribute('y', headerHeight);
+  chart.setAttribute('width', width);
+  chart.setAttribute('height', chartHeight);
+  root.appendChild(chart);
+  return { markup: new XMLSerializer().serializeToString(root), width, height };
+};
+
+/**
+ * Downloads a chart as an SVG file.
+ * @param {HTMLElement} container - Element wrapping a Recharts chart.
+ * @param {string} filename - File name without extension.
+ * @param {object} [options] - Title and legend (see serializeChart).
+ */
+export const exportChartSVG = (container, filename, options) => {
+  const { markup } = serializeChart(container, options);
+  downloadFile(markup, `${filename}.svg`, 'image/svg+xml');
+};
+
+/**
+ * Downloads a chart as a PNG file, rendered at twice the screen size for print quality.
+ * @param {HTMLElement} container - Element wrapping a Recharts chart.
+ * @param {string} filename - File name without extension.
+ * @param {object} [options] - Title and legend (see serializeChart).
+ * @returns {Promise<void>} Resolves once the download has been triggered.
+ */
+export const exportChartPNG = (container, filename, options) => {
+  const { markup, width, height } = serializeChart(container, options);
+  const scale = 2;
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error('PNG rendering failed'));
+          return;
+        }
+        downloadFile(blob, `${filename}.png`);
+        resolve();
+      }, 'image/png');
+    };
+    image.onerror = () => reject(new Error('PNG rendering failed'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  });
+};
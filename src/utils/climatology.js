@@ -0,0 +1,174 @@
+import { buildCacheKey, cachedFetchJSON } from './dataAccess';
+import { PARAMETER_CATALOG, groupByCommunity } from './parameters';
+import { createSeries, QUALITY } from './timeSeries';
+import { combineMeta } from './providers/meta';
+
+/**
+ * Years the normals are computed from (POWER's default climatology period).
+ *
+ * Normals come from POWER's monthly endpoint over this period: the mean of a calendar month's
+ * yearly values is the normal POWER's climatology endpoint reports for that month, and the yearly
+ * values also give the year-to-year spread (min, max, percentiles), which the climatology endpoint
+ * does not return. That is 12 values per year and parameter, cached for CLIMATOLOGY_TTL_MS.
+ */
+export const CLIMATOLOGY_PERIOD = { startYear: 2001, endYear: 2020 };
+
+/**
+ * The archive does not change, so cached normals are kept for 30 days.
+ */
+const CLIMATOLOGY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Value at a quantile of sorted values, interpolating between neighbours.
+ * @param {number[]} sorted - Values in ascending order.
+ * @param {number} quantile - Quantile between 0 and 1.
+ * @returns {number} The value.
+ */
+const getQuantile = (sorted, quantile) => {
+  const position = (sorted.length - 1) * quantile;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * getPercentileRank: Share of the values below a value (ties count half).
+ * @param {number[]} sorted - Values in ascending order.
+ * @param {number} value - Value to rank.
+ * @returns {number} Percentile between 0 and 100.
+ */
+export const getPercentileRank = (sorted, value) => {
+  let below = 0;
+  let equal = 0;
+  sorted.forEach((item) => {
+    if (item < value) below += 1;
+    else if (item === value) equal += 1;
+  });
+  return ((below + equal / 2) / sorted.length) * 100;
+};
+
+/**
+ * buildMonthlyNormals: Computes the normal of every calendar month from a multi-year monthly series.
+ * @param {object} series - Monthly TimeSeries (one value per month, timestamps 'YYYY-MM-01').
+ * @returns {Array<object|null>} 12 entries `{ mean, min, max, p10, p90, values }` (values sorted:
+ *   the valid monthly means of that month, one per year), indexed by month (0 = January); null for
+ *   months without any valid value.
+ */
+export function buildMonthlyNormals(series) {
+  const byMonth = Array.from({ length: 12 }, () => []);
+  series.time.forEach((time, index) => {
+    if (series.quality[index] === QUALITY.OK) byMonth[Number(time.slice(5, 7)) - 1].push(series.values[index]);
+  });
+
+  return byMonth.map((values) => {
+    if (values.length === 0) return null;
+    values.sort((a, b) => a - b);
+    return {
+      mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+      min: values[0],
+      max: values[values.length - 1],
+      p10: getQuantile(values, 0.1),
+      p90: getQuantile(values, 0.9),
+      values,
+    };
+  });
+}
+
+/**
+ * Returns the normal of the calendar month of a day.
+ * @param {Array<object|null>} normals - Monthly normals (see buildMonthlyNormals).
+ * @param {string} day - ISO date ('YYYY-MM-DD').
+ * @returns {object|null} The month's normal.
+ */
+export const getNormal = (normals, day) => normals?.[Number(day.slice(5, 7)) - 1] || null;
+
+/**
+ * getClimatologyStats: Compares a value with the normal of its calendar month. The percentile ranks
+ * the value among that month's yearly means, which vary less than single days do.
+ * @param {Array<object|null>} normals - Monthly normals (see buildMonthlyNormals).
+ * @param {string} day - ISO date of the value ('YYYY-MM-DD').
+ * @param {number|null} value - Observed value.
+ * @returns {{normal: number, min: number, max: number, p10: number, p90: number, anomaly: number, percentile: number}|null}
+ *   The normal with the value's anomaly (value minus normal) and percentile, or null without a value or normal.
+ */
+export function getClimatologyStats(normals, day, value) {
+  const normal = getNormal(normals, day);
+  if (!normal || value === null || value === undefined) return null;
+  return {
+    normal: normal.mean,
+    min: normal.min,
+    max: normal.max,
+    p10: normal.p10,
+    p90: normal.p90,
+    anomaly: value - normal.mean,
+    percentile: getPercentileRank(normal.values, value),
+  };
+}
+
+/**
+ * loadClimatology: Fetches the monthly POWER archive of CLIMATOLOGY_PERIOD for a location and
+ * computes the monthly normals of each parameter (one cached request per community). A failed
+ * community only fails its own parameters, reported in `errors`; the request fails when every
+ * community does.
+ * @param {object} request - Request description.
+ * @param {{lat: number, lon: number}} request.location - Location to query.
+ * @param {string[]} request.variables - Parameter ids; ids outside the POWER catalog are ignored.
+ * @param {AbortSignal} [request.signal] - Aborts the requests.
+ * @returns {Promise<{normals: object, meta: object, errors: object[]}>} Monthly normals keyed by
+ *   parameter id, the combined cache metadata, and errors as `{ variables, message }`.
+ */
+export async function loadClimatology({ location, variables, signal }) {
+  const { lat, lon } = location;
+  const { startYear, endYear } = CLIMATOLOGY_PERIOD;
+
+  const groups = Object.entries(groupByCommunity(variables));
+  const results = await Promise.allSettled(
+    groups.map(async ([community, ids]) => {
+      const url = `https://power.larc.nasa.gov/api/temporal/monthly/point?parameters=${ids.join(',')}&community=${community}&longitude=${lon}&latitude=${lat}&start=${startYear}&end=${endYear}&format=JSON`;
+      const key = buildCacheKey({ provider: `nasa-power-monthly-${community}`, lat, lon, parameters: ids, start: startYear, end: endYear });
+      const response = await cachedFetchJSON(key, url, { signal, ttl: CLIMATOLOGY_TTL_MS }).catch((error) => {
+        if (error.name === 'AbortError') throw error;
+        throw new Error(`NASA POWER climatology request failed (${error.message})`);
+      });
+      if (!response.data?.properties?.parameter) {
+        throw new Error('Invalid climatology data received from NASA POWER');
+      }
+      return response;
+    })
+  );
+
+  const aborted = results.find((result) => result.status === 'rejected' && result.reason?.name === 'AbortError');
+  if (aborted) throw aborted.reason;
+  const failed = results.filter((result) => result.status === 'rejected');
+  if (failed.length === results.length && failed.length > 0) throw failed[0].reason;
+
+  const normals = {};
+  const responses = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      errors.push({ variables: groups[index][1], message: result.reason?.message || 'Request failed' });
+      return;
+    }
+    const { data } = result.value;
+    responses.push(result.value);
+    const fillValues = typeof data.header?.fill_value === 'number' ? [data.header.fill_value] : [];
+    Object.entries(data.properties.parameter).forEach(([id, valuesByMonth]) => {
+      // Keys are 'YYYYMM'; month 13 holds the annual value.
+      const months = Object.keys(valuesByMonth).filter((key) => Number(key.slice(4, 6)) <= 12);
+      normals[id] = buildMonthlyNormals(createSeries({
+        variable: id,
+        provider: 'nasa-power',
+        label: PARAMETER_CATALOG[id]?.label || id,
+        unit: PARAMETER_CATALOG[id]?.unit || '',
+        resolution: 'monthly',
+        time: months.map((key) => `${key.slice(0, 4)}-${key.slice(4, 6)}-01`),
+        rawValues: months.map((key) => valuesByMonth[key]),
+        fillValues,
+        validRange: PARAMETER_CATALOG[id]?.validRange,
+      }));
+    });
+  });
+
+  return { normals, meta: combineMeta(responses), errors };
+}
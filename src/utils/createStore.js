@@ -0,0 +1,33 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * createStore: Module-level state shared by components through useSyncExternalStore. The stores
+ * in utils/ are built on it and export named hooks and actions around it.
+ * @param {*} initialState - Initial state.
+ * @returns {{getState: function, setState: function, subscribe: function, useStore: function}}
+ *   - getState(): The current state (also the snapshot read by React).
+ *   - setState(update): Applies an update and notifies the subscribers. An object is shallowly
+ *     merged into the state; a function receives the state and returns the next one.
+ *   - subscribe(listener): Registers a listener; returns the unsubscribe function.
+ *   - useStore(): React hook returning the state, re-rendering on changes.
+ */
+export function createStore(initialState) {
+  let state = initialState;
+  const listeners = new Set();
+
+  const getState = () => state;
+
+  const setState = (update) => {
+    state = typeof update === 'function' ? update(state) : { ...state, ...update };
+    listeners.forEach((listener) => listener());
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const useStore = () => useSyncExternalStore(subscribe, getState);
+
+  return { getState, setState, subscribe, useStore };
+}
@@ -0,0 +1,220 @@
+/**
+ * Data-access layer for the remote APIs (NASA POWER, Open-Meteo):
+ * - caches JSON responses in IndexedDB with a TTL, keeping only the most recent MAX_ENTRIES,
+ * - shares one network request between concurrent callers asking for the same key,
+ * - aborts the network request once every caller has aborted (AbortController),
+ * - serves expired cache entries, flagged as stale, when the network is unavailable.
+ */
+
+const DB_NAME = 'model-earth-cache';
+const STORE_NAME = 'responses';
+
+/**
+ * Default time-to-live of cached responses (6 hours).
+ */
+export const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Number of responses kept in the cache. Expired entries are still served while offline, so the
+ * oldest ones are evicted by count rather than by age.
+ */
+const MAX_ENTRIES = 100;
+
+let dbPromise = null;
+
+/**
+ * Opens (and creates on first use) the cache database. Resolves to null when IndexedDB is
+ * unavailable (e.g. some private browsing modes), in which case caching is skipped.
+ * @returns {Promise<IDBDatabase|null>} The database connection.
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 2);
+      // Version 2 adds the fetchedAt index used to evict the oldest responses.
+      request.onupgradeneeded = () => {
+        const store = request.result.objectStoreNames.contains(STORE_NAME)
+          ? request.transaction.objectStore(STORE_NAME)
+          : request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('fetchedAt', 'fetchedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.warn('Response cache disabled:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against the cache object store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function} operation - Receives the object store and returns an IDBRequest.
+ * @returns {Promise<any>} The request result, or null when caching is disabled.
+ */
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const readCache = (key) =>
+  runTransaction('readonly', (store) => store.get(key)).catch((error) => {
+    console.warn('Error reading response cache:', error);
+    return null;
+  });
+
+/**
+ * Deletes the oldest responses beyond MAX_ENTRIES, in the transaction of a write.
+ * @param {IDBObjectStore} store - The cache object store.
+ */
+const evictOldest = (store) => {
+  const count = store.count();
+  count.onsuccess = () => {
+    let excess = count.result - MAX_ENTRIES;
+    if (excess <= 0) return;
+    const cursor = store.index('fetchedAt').openKeyCursor();
+    cursor.onsuccess = () => {
+      if (!cursor.result || excess <= 0) return;
+      store.delete(cursor.result.primaryKey);
+      excess -= 1;
+      cursor.result.continue();
+    };
+  };
+};
+
+const writeCache = (entry) =>
+  runTransaction('readwrite', (store) => {
+    const request = store.put(entry);
+    evictOldest(store);
+    return request;
+  }).catch((error) => {
+    console.warn('Error writing response cache:', error);
+  });
+
+/**
+ * Removes every cached response.
+ * @returns {Promise<void>}
+ */
+export const clearCache = () => runTransaction('readwrite', (store) => store.clear());
+
+/**
+ * Builds the cache key for a request.
+ * @param {object} request - Request description.
+ * @param {string} request.provider - Provider id (e.g. 'nasa-power-RE', 'open-meteo-satellite').
+ * @param {number} request.lat - Latitude.
+ * @param {number} request.lon - Longitude.
+ * @param {string[]} [request.parameters] - Requested variables (order does not matter).
+ * @param {string} request.start - First day of the range.
+ * @param {string} request.end - Last day of the range.
+ * @returns {string} The cache key.
+ */
+export const buildCacheKey = ({ provider, lat, lon, parameters = [], start, end }) =>
+  [provider, lat.toFixed(4), lon.toFixed(4), [...parameters].sort().join(','), start, end].join('|');
+
+const createAbortError = () => new DOMException('The request was aborted', 'AbortError');
+
+/**
+ * Requests that are currently on the network, keyed by cache key.
+ * Each entry tracks how many callers are still waiting for it.
+ */
+const inflight = new Map();
+
+/**
+ * Fetches JSON, sharing a single network request between concurrent callers with the same key.
+ * The response is written to the cache once, when it arrives.
+ * @param {string} key - Cache key.
+ * @param {string} url - Request URL.
+ * @param {AbortSignal} [signal] - Caller's abort signal.
+ * @returns {Promise<{data: any, fetchedAt: number}>} The parsed response.
+ */
+const sharedFetch = (key, url, signal) => {
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, subscribers: 0 };
+    const current = entry;
+    entry.promise = fetch(url, { signal: controller.signal })
+      .then((res) => {
+        if (!res.ok) {
+          const error = new Error(`HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ''}`);
+          error.status = res.status;
+          throw error;
+        }
+        return res.json();
+      })
+      .then((data) => {
+        const fetchedAt = Date.now();
+        writeCache({ key, data, fetchedAt });
+        return { data, fetchedAt };
+      })
+      .finally(() => {
+        if (inflight.get(key) === current) inflight.delete(key);
+      });
+    inflight.set(key, entry);
+  }
+
+  const shared = entry;
+  shared.subscribers += 1;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      shared.subscribers -= 1;
+      // Only cancel the network request when nobody else is waiting for it.
+      if (shared.subscribers === 0) {
+        shared.controller.abort();
+        if (inflight.get(key) === shared) inflight.delete(key);
+      }
+      reject(createAbortError());
+    };
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    shared.promise
+      .then(resolve, reject)
+      .finally(() => signal?.removeEventListener('abort', onAbort));
+  });
+};
+
+/**
+ * cachedFetchJSON: Returns a JSON response from the cache when fresh, otherwise from the network.
+ * If the network request fails (offline, timeout, server error) and an expired entry exists,
+ * that entry is returned with `stale: true`.
+ * @param {string} key - Cache key (see buildCacheKey).
+ * @param {string} url - Request URL.
+ * @param {object} [options] - Options.
+ * @param {AbortSignal} [options.signal] - Abort signal for this caller.
+ * @param {number} [options.ttl] - Maximum age of a cached entry, in milliseconds.
+ * @returns {Promise<{data: any, fetchedAt: number, fromCache: boolean, stale: boolean}>} The response and its provenance.
+ */
+export async function cachedFetchJSON(key, url, { signal, ttl = DEFAULT_TTL_MS } = {}) {
+  const cached = await readCache(key);
+  if (signal?.aborted) throw createAbortError();
+  if (cached && Date.now() - cached.fetchedAt < ttl) {
+    return { data: cached.data, fetchedAt: cached.fetchedAt, fromCache: true, stale: false };
+  }
+
+  try {
+    const { data, fetchedAt } = await sharedFetch(key, url, signal);
+    return { data, fetchedAt, fromCache: false, stale: false };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    // Client errors (4xx) mean the request itself is wrong; anything else is treated as "network down".
+    const isNetworkFailure = !error.status || error.status >= 500;
+    if (cached && isNetworkFailure) {
+      return { data: cached.data, fetchedAt: cached.fetchedAt, fromCache: true, stale: true };
+    }
+    throw error;
+  }
+}
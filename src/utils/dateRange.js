@@ -0,0 +1,103 @@
+/**
+ * NASA POWER daily data is published with a delay of a few days,
+ * so ranges never end later than this many days before today.
+ */
+export const NASA_LATENCY_DAYS = 3;
+
+/**
+ * Date range presets offered by the dashboard picker.
+ * - days: Length of the rolling window ending at the latest available day.
+ */
+export const DATE_RANGE_PRESETS = [
+  { id: '7d', label: '7D', days: 7 },
+  { id: '30d', label: '30D', days: 30 },
+  { id: '90d', label: '90D', days: 90 },
+  { id: '1y', label: '1Y', days: 365 },
+  { id: 'month', label: 'MONTH' },
+  { id: 'custom', label: 'CUSTOM' },
+];
+
+export const DEFAULT_DATE_RANGE = { preset: '7d' };
+
+/**
+ * Longest custom range (five years, leap days included); longer ranges would download
+ * tens of thousands of hourly values per variable.
+ */
+export const MAX_RANGE_DAYS = 1827;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns today's date shifted back by `days`, at UTC midnight.
+ * @param {number} days - Number of days to go back.
+ * @returns {Date} The UTC date.
+ */
+const daysAgo = (days) => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - days));
+};
+
+/**
+ * Parses a 'YYYY-MM-DD' string as a UTC date.
+ * @param {string} value - The date string.
+ * @returns {Date|null} The parsed date, or null if invalid (including days that do not exist,
+ *   such as '2023-02-31', which Date would roll over into the next month).
+ */
+const parseIsoDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value ? date : null;
+};
+
+/**
+ * Returns the most recent day for which NASA POWER daily data is expected.
+ * @returns {Date} The UTC date.
+ */
+export const getLatestAvailableDate = () => daysAgo(NASA_LATENCY_DAYS);
+
+/**
+ * Counts the days in an inclusive date range.
+ * @param {Date} startDate - First day.
+ * @param {Date} endDate - Last day.
+ * @returns {number} The number of days.
+ */
+export const countDays = (startDate, endDate) => Math.round((endDate - startDate) / DAY_MS) + 1;
+
+/**
+ * resolveDateRange: Converts a date range selection into concrete start/end dates.
+ * @param {object} range - `{ preset }`, `{ preset: 'month', month: 'YYYY-MM' }` or
+ *   `{ preset: 'custom', start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }`.
+ * @returns {{startDate: Date, endDate: Date, label: string}} UTC dates (inclusive) and a display label.
+ */
+export function resolveDateRange(range = DEFAULT_DATE_RANGE) {
+  const latest = getLatestAvailableDate();
+  const preset = DATE_RANGE_PRESETS.find((item) => item.id === range.preset) || DATE_RANGE_PRESETS[0];
+
+  if (preset.days) {
+    const startDate = new Date(latest.getTime() - (preset.days - 1) * DAY_MS);
+    return { startDate, endDate: latest, label: `${preset.days}-DAY` };
+  }
+
+  if (preset.id === 'month') {
+    const match = /^(\d{4})-(\d{2})$/.exec(range.month || '');
+    if (!match || !parseIsoDate(`${range.month}-01`)) throw new Error('Select a month to analyze');
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    const startDate = new Date(Date.UTC(year, month, 1));
+    const monthEnd = new Date(Date.UTC(year, month + 1, 0));
+    if (startDate > latest) throw new Error('No data is available yet for the selected month');
+    const label = startDate.toLocaleString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }).toUpperCase();
+    return { startDate, endDate: monthEnd < latest ? monthEnd : latest, label };
+  }
+
+  const startDate = parseIsoDate(range.start);
+  const requestedEnd = parseIsoDate(range.end);
+  if (!startDate || !requestedEnd) throw new Error('Select a start and end date');
+  const endDate = requestedEnd < latest ? requestedEnd : latest;
+  if (startDate > endDate) throw new Error('The start date must be before the end date');
+  if (countDays(startDate, endDate) > MAX_RANGE_DAYS) {
+    throw new Error(`The range can be at most ${MAX_RANGE_DAYS} days (5 years)`);
+  }
+  return { startDate, endDate, label: `${countDays(startDate, endDate)}-DAY` };
+}
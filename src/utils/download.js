@@ -0,0 +1,18 @@
+/**
+ * Triggers a browser download for in-memory content.
+ * @param {string|Blob} content - File contents, or a ready-made Blob.
+ * @param {string} filename - Suggested file name for the download.
+ * @param {string} [mimeType] - MIME type used when `content` is a string.
+ */
+export const downloadFile = (content, filename, mimeType = 'application/json') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the object URL.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
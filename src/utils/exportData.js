@@ -0,0 +1,110 @@
+/**
+ * Serializers for the dashboard's normalized daily series.
+ * Both formats carry the same metadata: location, range, providers, per-variable units and
+ * sources, fetch timestamp and whether gaps were interpolated.
+ */
+
+const EXPORT_TYPE = 'model-earth/series';
+
+/**
+ * buildExportMetadata: Collects the metadata written alongside exported series.
+ * @param {object} options - Export context.
+ * @param {object} options.location - Selected location (name, lat, lon).
+ * @param {object} options.range - Resolved date range (startDate, endDate, label).
+ * @param {object[]} options.series - Daily TimeSeries to export (see utils/timeSeries).
+ * @param {object} options.meta - Cache metadata from loadSeries() (fetchedAt, fromCache, stale).
+ * @param {Object<string, string>} options.providerNames - Provider display names keyed by id.
+ * @param {boolean} options.interpolated - Whether short gaps were filled by interpolation.
+ * @returns {object} The metadata.
+ */
+export const buildExportMetadata = ({ location, range, series, meta, providerNames, interpolated }) => ({
+  location: { name: location.name, lat: location.lat, lon: location.lon },
+  range: {
+    start: range.startDate.toISOString().split('T')[0],
+    end: range.endDate.toISOString().split('T')[0],
+    label: range.label,
+  },
+  providers: [...new Set(series.map((item) => item.provider))].map((id) => ({ id, name: providerNames[id] || id })),
+  variables: series.map((item) => ({
+    id: item.variable,
+    label: item.label,
+    unit: item.unit,
+    provider: item.provider,
+    ...(item.sourceVariable && item.sourceVariable !== item.variable ? { sourceVariable: item.sourceVariable } : {}),
+  })),
+  fetchedAt: meta?.fetchedAt ? new Date(meta.fetchedAt).toISOString() : null,
+  fromCache: Boolean(meta?.fromCache),
+  stale: Boolean(meta?.stale),
+  interpolated,
+  exportedAt: new Date().toISOString(),
+});
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break.
+ * @param {*} value - Field value.
+ * @returns {string} The CSV-safe field.
+ */
+const escapeCSV = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * seriesToCSV: One row per day, with a value column and a quality column per variable.
+ * The metadata is written first as '#'-prefixed comment lines; missing values are empty fields.
+ * @param {object[]} series - Daily TimeSeries sharing the same time axis.
+ * @param {object} metadata - Metadata from buildExportMetadata().
+ * @returns {string} The CSV document.
+ */
+export function seriesToCSV(series, metadata) {
+  const comments = [
+    `# location: ${metadata.location.name}`,
+    `# latitude: ${metadata.location.lat}`,
+    `# longitude: ${metadata.location.lon}`,
+    `# range: ${metadata.range.start} to ${metadata.range.end}`,
+    `# providers: ${metadata.providers.map((provider) => provider.name).join(', ')}`,
+    ...metadata.variables.map((variable) =>
+      `# ${variable.id}: ${variable.label} [${variable.unit || 'dimensionless'}] from ${variable.provider}` +
+      (variable.sourceVariable ? ` (${variable.sourceVariable})` : '')),
+    `# fetched_at: ${metadata.fetchedAt || 'unknown'}${metadata.stale ? ' (stale cache)' : ''}`,
+    `# interpolated: ${metadata.interpolated}`,
+    `# exported_at: ${metadata.exportedAt}`,
+  ];
+  const header = ['date', ...series.flatMap((item) => [item.variable, `${item.variable}_quality`])];
+  const time = series[0]?.time || [];
+  const rows = time.map((day, index) =>
+    [day, ...series.flatMap((item) => [item.values[index], item.quality[index]])].map(escapeCSV).join(','));
+  return [...comments, header.map(escapeCSV).join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * seriesToJSON: NetCDF-style JSON bundle: global attributes, a `time` dimension, and one
+ * variable per series with its attributes, values and quality flags.
+ * @param {object[]} series - Daily TimeSeries sharing the same time axis.
+ * @param {object} metadata - Metadata from buildExportMetadata().
+ * @returns {string} The JSON document.
+ */
+export function seriesToJSON(series, metadata) {
+  const time = series[0]?.time || [];
+  const variables = { time: { dimensions: ['time'], attributes: { long_name: 'Day (UTC)', units: 'ISO 8601 date' }, data: time } };
+  series.forEach((item) => {
+    variables[item.variable] = {
+      dimensions: ['time'],
+      attributes: {
+        long_name: item.label,
+        units: item.unit,
+        provider: item.provider,
+        ...(item.sourceVariable && item.sourceVariable !== item.variable ? { source_variable: item.sourceVariable } : {}),
+      },
+      data: item.values,
+      quality: item.quality,
+    };
+  });
+  return JSON.stringify({
+    type: EXPORT_TYPE,
+    version: 1,
+    attributes: metadata,
+    dimensions: { time: time.length },
+    variables,
+  }, null, 2);
+}
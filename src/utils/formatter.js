@@ -31,4 +31,16 @@ export const formatDisplayDate = (dateStr) => {
     return `${day}/${month}/${year}`;
   }
   return 'N/A';
-}
\ No newline at end of file
+}
+
+/**
+ * Formats a latitude/longitude pair as a compact hemisphere-suffixed label, e.g. '12.0464°S, 77.0428°W'.
+ * @param {number} lat - Latitude in decimal degrees.
+ * @param {number} lon - Longitude in decimal degrees.
+ * @returns {string} The formatted coordinate label.
+ */
+export const formatCoordinates = (lat, lon) => {
+  const latLabel = `${Math.abs(lat).toFixed(4)}°${lat >= 0 ? 'N' : 'S'}`;
+  const lonLabel = `${Math.abs(lon).toFixed(4)}°${lon >= 0 ? 'E' : 'W'}`;
+  return `${latLabel}, ${lonLabel}`;
+};
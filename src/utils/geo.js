@@ -0,0 +1,106 @@
+/**
+ * Converts geographic coordinates into a Cartesian position on a sphere,
+ * using the same orientation as the Earth texture (lon 0 facing +X after the 180° offset).
+ * @param {number} lat - Latitude in decimal degrees.
+ * @param {number} lon - Longitude in decimal degrees.
+ * @param {number} radius - Sphere radius in scene units.
+ * @returns {number[]} The [x, y, z] position.
+ */
+export const latLonToVector3 = (lat, lon, radius) => {
+  const phi = (90 - lat) * (Math.PI / 180);
+  const theta = (lon + 180) * (Math.PI / 180);
+
+  const x = -(radius * Math.sin(phi) * Math.cos(theta));
+  const y = radius * Math.cos(phi);
+  const z = radius * Math.sin(phi) * Math.sin(theta);
+  return [x, y, z];
+};
+
+/**
+ * Inverse of latLonToVector3: converts a point expressed in the Earth's local
+ * (unrotated) frame back into latitude and longitude.
+ * @param {number} x - Local X coordinate.
+ * @param {number} y - Local Y coordinate.
+ * @param {number} z - Local Z coordinate.
+ * @returns {{lat: number, lon: number}} Coordinates in decimal degrees, lon in [-180, 180).
+ */
+export const vector3ToLatLon = (x, y, z) => {
+  const radius = Math.sqrt(x * x + y * y + z * z);
+  if (radius === 0) return { lat: 0, lon: 0 };
+
+  const phi = Math.acos(Math.min(Math.max(y / radius, -1), 1));
+  const theta = Math.atan2(z, -x);
+
+  const lat = 90 - phi * (180 / Math.PI);
+  let lon = theta * (180 / Math.PI) - 180;
+  // Wrap longitude into the [-180, 180) range.
+  lon = ((lon + 540) % 360) - 180;
+  return { lat, lon };
+};
+
+/**
+ * Mean Earth radius in kilometers, and its size in scene units (the Earth sphere's radius).
+ */
+export const EARTH_RADIUS_KM = 6371;
+export const EARTH_RADIUS_SCENE = 2;
+
+/**
+ * Converts a geodetic position (e.g. a satellite's sub-point and altitude) into scene
+ * coordinates, keeping the true altitude-to-radius ratio.
+ * @param {number} lat - Latitude in decimal degrees.
+ * @param {number} lon - Longitude in decimal degrees.
+ * @param {number} altitudeKm - Height above the surface in kilometers.
+ * @returns {number[]} The [x, y, z] position in the Earth's local frame.
+ */
+export const geodeticToVector3 = (lat, lon, altitudeKm) =>
+  latLonToVector3(lat, lon, EARTH_RADIUS_SCENE * (1 + altitudeKm / EARTH_RADIUS_KM));
+
+const DEG = Math.PI / 180;
+
+/**
+ * Great-circle distance between two points on the mean-radius sphere (haversine).
+ * @param {number} lat1 - Latitude of the first point, in decimal degrees.
+ * @param {number} lon1 - Longitude of the first point, in decimal degrees.
+ * @param {number} lat2 - Latitude of the second point, in decimal degrees.
+ * @param {number} lon2 - Longitude of the second point, in decimal degrees.
+ * @returns {number} Distance in kilometers.
+ */
+export const greatCircleDistance = (lat1, lon1, lat2, lon2) => {
+  const a = Math.sin(((lat2 - lat1) * DEG) / 2) ** 2 +
+    Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.sin(((lon2 - lon1) * DEG) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Initial bearing of the great circle from one point to another.
+ * @param {number} lat1 - Latitude of the start point, in decimal degrees.
+ * @param {number} lon1 - Longitude of the start point, in decimal degrees.
+ * @param {number} lat2 - Latitude of the end point, in decimal degrees.
+ * @param {number} lon2 - Longitude of the end point, in decimal degrees.
+ * @returns {number} Bearing in degrees, clockwise from north, in [0, 360).
+ */
+export const initialBearing = (lat1, lon1, lat2, lon2) => {
+  const dLon = (lon2 - lon1) * DEG;
+  const y = Math.sin(dLon) * Math.cos(lat2 * DEG);
+  const x = Math.cos(lat1 * DEG) * Math.sin(lat2 * DEG) - Math.sin(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.cos(dLon);
+  return (Math.atan2(y, x) / DEG + 360) % 360;
+};
+
+/**
+ * Point reached by travelling a distance along a great circle from a start point.
+ * @param {number} lat - Start latitude in decimal degrees.
+ * @param {number} lon - Start longitude in decimal degrees.
+ * @param {number} bearing - Initial bearing in degrees, clockwise from north.
+ * @param {number} distanceKm - Distance in kilometers.
+ * @returns {{lat: number, lon: number}} Coordinates in decimal degrees, lon in [-180, 180).
+ */
+export const destinationPoint = (lat, lon, bearing, distanceKm) => {
+  const angle = distanceKm / EARTH_RADIUS_KM;
+  const sinLat = Math.sin(lat * DEG) * Math.cos(angle) + Math.cos(lat * DEG) * Math.sin(angle) * Math.cos(bearing * DEG);
+  const lat2 = Math.asin(sinLat);
+  const lon2 = lon * DEG + Math.atan2(
+    Math.sin(bearing * DEG) * Math.sin(angle) * Math.cos(lat * DEG),
+    Math.cos(angle) - Math.sin(lat * DEG) * sinLat,
+  );
+  return { lat: lat2 / DEG, lon: (((lon2 / DEG) % 360) + 540) % 360 - 180 };
+};
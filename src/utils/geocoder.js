@@ -0,0 +1,180 @@
+import gazetteer from '../data/gazetteer.json';
+import { formatCoordinates } from './formatter';
+
+/**
+ * Geocoder interface: any object exposing a `name` and an async
+ * `search(query, { limit })` method resolving to an array of
+ * `{ name, lat, lon, country }` results can be plugged in with setGeocoder().
+ * The bundled offline gazetteer is used by default so search works without network access.
+ */
+
+/**
+ * Removes diacritics and lowercases a string so 'Bogotá' matches 'bogota'.
+ * @param {string} text - Text to normalize.
+ * @returns {string} The normalized text.
+ */
+const normalizeText = (text) =>
+  text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * createGazetteerGeocoder: Builds an offline geocoder that searches a static list of places.
+ * Prefix matches on the place name rank above substring matches on the name or country.
+ * @param {Array<{name: string, country: string, lat: number, lon: number}>} entries - Places to search.
+ * @returns {object} A geocoder implementing the interface described above.
+ */
+export function createGazetteerGeocoder(entries) {
+  const index = entries.map((entry) => ({
+    entry,
+    name: normalizeText(entry.name),
+    full: normalizeText(`${entry.name}, ${entry.country}`),
+  }));
+
+  return {
+    name: 'Offline gazetteer',
+    async search(query, { limit = 8 } = {}) {
+      const needle = normalizeText(query);
+      if (!needle) return [];
+
+      return index
+        .map((item) => {
+          let score = -1;
+          if (item.name === needle) score = 0;
+          else if (item.name.startsWith(needle)) score = 1;
+          else if (item.full.startsWith(needle)) score = 2;
+          else if (item.full.includes(needle)) score = 3;
+          return { item, score };
+        })
+        .filter(({ score }) => score >= 0)
+        .sort((a, b) => a.score - b.score || a.item.name.localeCompare(b.item.name))
+        .slice(0, limit)
+        .map(({ item }) => ({
+          name: `${item.entry.name}, ${item.entry.country}`,
+          lat: item.entry.lat,
+          lon: item.entry.lon,
+          country: item.entry.country,
+        }));
+    },
+  };
+}
+
+let activeGeocoder = createGazetteerGeocoder(gazetteer);
+
+/**
+ * Replaces the geocoder used by geocode(), e.g. with an online service adapter.
+ * @param {object} geocoder - Object with a `name` and an async `search(query, options)` method.
+ */
+export const setGeocoder = (geocoder) => {
+  if (!geocoder || typeof geocoder.search !== 'function') {
+    throw new Error('A geocoder must implement search(query, options)');
+  }
+  activeGeocoder = geocoder;
+};
+
+/**
+ * Returns the geocoder currently used by geocode().
+ * @returns {object} The active geocoder.
+ */
+export const getGeocoder = () => activeGeocoder;
+
+/**
+ * Converts one coordinate component (degrees, optional minutes/seconds, optional hemisphere)
+ * into signed decimal degrees.
+ * @param {string[]} tokens - Numeric tokens and at most one hemisphere letter.
+ * @returns {{value: number, hemisphere: string|null}|null} The parsed component, or null if invalid.
+ */
+const parseComponent = (tokens) => {
+  const hemispheres = tokens.filter((token) => /^[NSEW]$/.test(token));
+  const numbers = tokens.filter((token) => !/^[NSEW]$/.test(token)).map(Number);
+  if (hemispheres.length > 1 || numbers.length === 0 || numbers.length > 3) return null;
+
+  const [degrees, minutes = 0, seconds = 0] = numbers;
+  if (minutes < 0 || minutes >= 60 || seconds < 0 || seconds >= 60) return null;
+  if (numbers.length > 1 && !Number.isInteger(degrees)) return null;
+
+  const hemisphere = hemispheres[0] || null;
+  let value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+  if (degrees < 0 || Object.is(degrees, -0) || hemisphere === 'S' || hemisphere === 'W') {
+    value = -value;
+  }
+  return { value, hemisphere };
+};
+
+/**
+ * Splits a whitespace-separated token list into latitude and longitude groups,
+ * using hemisphere letters as delimiters when present, or an even split otherwise.
+ * @param {string[]} tokens - Tokens of the full coordinate string.
+ * @returns {string[][]|null} Two token groups, or null if the input is ambiguous.
+ */
+const splitTokens = (tokens) => {
+  const hasHemisphere = tokens.some((token) => /^[NSEW]$/.test(token));
+  if (!hasHemisphere) {
+    if (tokens.length % 2 !== 0) return null;
+    return [tokens.slice(0, tokens.length / 2), tokens.slice(tokens.length / 2)];
+  }
+
+  // Hemisphere letters may be used as prefixes ('S 12 2 47') or suffixes ('12 2 47 S').
+  const prefixStyle = /^[NSEW]$/.test(tokens[0]);
+  const groups = [];
+  let current = [];
+  tokens.forEach((token) => {
+    const isHemisphere = /^[NSEW]$/.test(token);
+    if (prefixStyle && isHemisphere && current.length > 0) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(token);
+    if (!prefixStyle && isHemisphere) {
+      groups.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) groups.push(current);
+  return groups.length === 2 ? groups : null;
+};
+
+/**
+ * parseCoordinates: Parses decimal ('-12.05, -77.04') or DMS ('12°02'47"S 77°02'34"W')
+ * coordinate strings.
+ * @param {string} query - The user input.
+ * @returns {{lat: number, lon: number}|null} Decimal coordinates, or null if the input is not a coordinate pair.
+ */
+export function parseCoordinates(query) {
+  const cleaned = query.toUpperCase().replace(/[°º'′"″]/g, ' ').trim();
+  if (!cleaned || !/^[\s\d.,;+\-NSEW]+$/.test(cleaned)) return null;
+
+  const tokenize = (text) => text.match(/[-+]?\d+(?:\.\d+)?|[NSEW]/g) || [];
+  const parts = cleaned.split(/[,;]/).filter((part) => part.trim());
+  const groups = parts.length === 2
+    ? parts.map(tokenize)
+    : parts.length === 1 ? splitTokens(tokenize(parts[0])) : null;
+  if (!groups) return null;
+
+  const [first, second] = groups.map(parseComponent);
+  if (!first || !second) return null;
+
+  // Hemisphere letters decide which component is which; otherwise assume 'lat, lon'.
+  const isLongitude = (component) => component.hemisphere === 'E' || component.hemisphere === 'W';
+  const isLatitude = (component) => component.hemisphere === 'N' || component.hemisphere === 'S';
+  const swapped = isLongitude(first) || isLatitude(second);
+  if (swapped && (isLatitude(first) || isLongitude(second))) return null;
+
+  const lat = swapped ? second.value : first.value;
+  const lon = swapped ? first.value : second.value;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
+
+/**
+ * geocode: Resolves a free-text query into candidate places.
+ * Coordinate input is parsed locally; anything else is sent to the active geocoder.
+ * @param {string} query - Place name or coordinate string.
+ * @param {object} [options] - Options forwarded to the geocoder (e.g. `limit`).
+ * @returns {Promise<Array<{name: string, lat: number, lon: number, isCoordinate?: boolean}>>} Matching places.
+ */
+export async function geocode(query, options = {}) {
+  const coordinates = parseCoordinates(query);
+  if (coordinates) {
+    return [{ ...coordinates, name: formatCoordinates(coordinates.lat, coordinates.lon), isCoordinate: true }];
+  }
+  return activeGeocoder.search(query, options);
+}
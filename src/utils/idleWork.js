@@ -0,0 +1,37 @@
+/**
+ * Runs heavy per-item work (SGP4 searches over the satellite catalog) in idle time, one item per
+ * callback, so the page stays responsive while it computes.
+ */
+
+const IDLE_TIMEOUT_MS = 100;
+
+/**
+ * Waits for the browser to be idle (or for the next macrotask where requestIdleCallback is
+ * missing, e.g. Safari).
+ * @returns {Promise<void>}
+ */
+const nextIdle = () => new Promise((resolve) => {
+  if (typeof window !== 'undefined' && window.requestIdleCallback) {
+    window.requestIdleCallback(() => resolve(), { timeout: IDLE_TIMEOUT_MS });
+  } else {
+    setTimeout(resolve, 0);
+  }
+});
+
+/**
+ * mapWhenIdle: Maps the items one at a time, yielding to the browser before each one.
+ * @param {Array} items - Items to process.
+ * @param {function} task - Called with (item, index); returns the item's result.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the work between items.
+ * @returns {Promise<Array>} The results, in item order. Rejects with an AbortError when aborted.
+ */
+export async function mapWhenIdle(items, task, { signal } = {}) {
+  const results = [];
+  for (let index = 0; index < items.length; index++) {
+    await nextIdle();
+    if (signal?.aborted) throw new DOMException('The work was aborted', 'AbortError');
+    results.push(task(items[index], index));
+  }
+  return results;
+}
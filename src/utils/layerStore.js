@@ -0,0 +1,66 @@
+import { createStore } from './createStore';
+
+const STORAGE_KEY = 'model-earth:layers';
+
+/**
+ * Optional globe layers, in the order they are listed in the layer panel.
+ * - type: 'toggle' (on/off) or 'select' (one of `options`).
+ */
+export const LAYERS = [
+  { id: 'autoRotate', label: 'Auto-rotate globe', type: 'toggle', default: true },
+  { id: 'nightShade', label: 'Night side shading', type: 'toggle', default: true },
+  { id: 'nightLights', label: 'City lights at night', type: 'toggle', default: false },
+  { id: 'terminator', label: 'Day/night terminator', type: 'toggle', default: false },
+  { id: 'orbitPaths', label: 'Orbit paths', type: 'toggle', default: false },
+  { id: 'groundTracks', label: 'Ground tracks', type: 'toggle', default: false },
+  { id: 'nadirLines', label: 'Nadir lines', type: 'toggle', default: false },
+  { id: 'trackOrbits', label: 'Track length (orbits before/after)', type: 'select', options: [1, 2, 3], default: 1 },
+  { id: 'swaths', label: 'Instrument swaths', type: 'toggle', default: false },
+  { id: 'swathHours', label: 'Swath coverage (past hours)', type: 'select', options: [0, 1, 6, 24], default: 1 },
+];
+
+const defaults = Object.fromEntries(LAYERS.map((layer) => [layer.id, layer.default]));
+
+/**
+ * Drops unknown layers and values that are not valid for their layer.
+ * @param {object} raw - Stored settings.
+ * @returns {object} Complete, valid settings.
+ */
+const sanitizeLayers = (raw) =>
+  Object.fromEntries(LAYERS.map((layer) => {
+    const value = raw?.[layer.id];
+    const valid = layer.type === 'toggle' ? typeof value === 'boolean' : layer.options.includes(value);
+    return [layer.id, valid ? value : layer.default];
+  }));
+
+const loadLayers = () => {
+  try {
+    return sanitizeLayers(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (error) {
+    console.error('Error loading layer settings:', error);
+    return defaults;
+  }
+};
+
+const store = createStore(loadLayers());
+
+/**
+ * useLayers: React hook returning the layer settings keyed by layer id.
+ * @returns {object} The layer settings.
+ */
+export const useLayers = store.useStore;
+
+/**
+ * Changes one layer setting and remembers it.
+ * @param {string} id - Layer id (see LAYERS).
+ * @param {boolean|number} value - New value.
+ */
+export const setLayer = (id, value) => {
+  const layers = sanitizeLayers({ ...store.getState(), [id]: value });
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(layers));
+  } catch (error) {
+    console.error('Error saving layer settings:', error);
+  }
+  store.setState(() => layers);
+};
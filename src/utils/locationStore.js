@@ -0,0 +1,226 @@
+import { createStore } from './createStore';
+import { formatCoordinates } from './formatter';
+
+const STORAGE_KEY = 'model-earth:locations';
+const EXPORT_TYPE = 'model-earth/locations';
+export const DEFAULT_LOCATION_COLOR = '#08d8f6';
+// Color used for the temporary marker dropped when clicking an arbitrary point on the globe.
+export const CUSTOM_LOCATION_COLOR = '#f97316';
+
+/**
+ * Locations shown the first time the app runs (or after the saved list is reset).
+ */
+const defaultLocations = [
+  { id: 'lima', name: 'Lima, Peru', lat: -12.0464, lon: -77.0428, color: DEFAULT_LOCATION_COLOR, district: 'Miraflores' },
+  { id: 'new-york', name: 'New York, USA', lat: 40.7128, lon: -74.0060, color: DEFAULT_LOCATION_COLOR, district: 'Manhattan' },
+  { id: 'tokyo', name: 'Tokyo, Japan', lat: 35.6762, lon: 139.6503, color: DEFAULT_LOCATION_COLOR, district: 'Shibuya' },
+  { id: 'london', name: 'London, UK', lat: 51.5074, lon: -0.1278, color: DEFAULT_LOCATION_COLOR, district: 'Westminster' },
+  { id: 'sydney', name: 'Sydney, Australia', lat: -33.8688, lon: 151.2093, color: DEFAULT_LOCATION_COLOR, district: 'CBD' },
+  { id: 'dubai', name: 'Dubai, UAE', lat: 25.2048, lon: 55.2708, color: DEFAULT_LOCATION_COLOR, district: 'Downtown' },
+];
+
+const createId = () =>
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Reads a coordinate given as a number or a numeric string; anything else (null, '', booleans,
+ * arrays), which Number() would quietly turn into 0, gives NaN.
+ * @param {*} value - Raw coordinate.
+ * @returns {number} The coordinate, or NaN.
+ */
+const toCoordinate = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim()) return Number(value);
+  return NaN;
+};
+
+/**
+ * Validates and normalizes a raw location object coming from storage or an import.
+ * @param {object} raw - Candidate location.
+ * @returns {object|null} A clean location, or null if the coordinates are invalid.
+ */
+const sanitizeLocation = (raw) => {
+  const lat = toCoordinate(raw?.lat);
+  const lon = toCoordinate(raw?.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : createId(),
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : formatCoordinates(lat, lon),
+    lat,
+    lon,
+    color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : DEFAULT_LOCATION_COLOR,
+    district: typeof raw.district === 'string' ? raw.district : null,
+  };
+};
+
+const loadLocations = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored) return defaultLocations;
+    const parsed = JSON.parse(stored);
+    return Array.isArray(parsed) ? parsed.map(sanitizeLocation).filter(Boolean) : defaultLocations;
+  } catch (error) {
+    console.error('Error loading saved locations:', error);
+    return defaultLocations;
+  }
+};
+
+const store = createStore(loadLocations());
+
+const setLocations = (next) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (error) {
+    console.error('Error saving locations:', error);
+  }
+  store.setState(() => next);
+};
+
+/**
+ * Checks whether two locations are the same place: saved locations by id, temporary
+ * (custom) ones by their coordinates.
+ * @param {object|null} a - Location.
+ * @param {object|null} b - Location.
+ * @returns {boolean} True if both designate the same location.
+ */
+export const isSameLocation = (a, b) => {
+  if (!a || !b) return false;
+  if (a.isCustom || b.isCustom) return a.lat === b.lat && a.lon === b.lon;
+  return a.id === b.id;
+};
+
+/**
+ * useLocations: React hook returning the saved locations, re-rendering on every store change.
+ * @returns {object[]} The saved locations.
+ */
+export const useLocations = store.useStore;
+
+/**
+ * Returns the current saved locations outside of React.
+ * @returns {object[]} The saved locations.
+ */
+export const getLocations = store.getState;
+
+/**
+ * Adds a location to the saved list.
+ * @param {object} location - Location with at least lat/lon; name, color and district are optional.
+ * @returns {object} The stored location (with its generated id).
+ */
+export const addLocation = (location) => {
+  const clean = sanitizeLocation({ ...location, id: undefined });
+  if (!clean) throw new Error('Invalid coordinates');
+  setLocations([...getLocations(), clean]);
+  return clean;
+};
+
+/**
+ * Applies a partial update (e.g. `{ name }` or `{ color }`) to a saved location.
+ * @param {string} id - Location id.
+ * @param {object} changes - Fields to change.
+ */
+export const updateLocation = (id, changes) => {
+  setLocations(getLocations().map((loc) => (loc.id === id ? sanitizeLocation({ ...loc, ...changes, id }) || loc : loc)));
+};
+
+export const renameLocation = (id, name) => updateLocation(id, { name });
+
+export const recolorLocation = (id, color) => updateLocation(id, { color });
+
+export const removeLocation = (id) => {
+  setLocations(getLocations().filter((loc) => loc.id !== id));
+};
+
+/**
+ * Restores the default city list, discarding user changes.
+ */
+export const resetLocations = () => setLocations(defaultLocations);
+
+/**
+ * Serializes the saved locations.
+ * @param {'json'|'geojson'} format - Output format.
+ * @returns {string} The serialized document.
+ */
+export const exportLocations = (format = 'json') => {
+  if (format === 'geojson') {
+    return JSON.stringify({
+      type: 'FeatureCollection',
+      features: getLocations().map(({ id, name, lat, lon, color, district }) => ({
+        type: 'Feature',
+        id,
+        geometry: { type: 'Point', coordinates: [lon, lat] },
+        properties: { name, color, district },
+      })),
+    }, null, 2);
+  }
+  return JSON.stringify({ type: EXPORT_TYPE, version: 1, locations: getLocations() }, null, 2);
+};
+
+/**
+ * Reads the location of a GeoJSON feature.
+ * @param {object} feature - GeoJSON Feature.
+ * @returns {object|null} Raw location candidate, or null unless the feature is a Point with
+ *   `[lon, lat]` coordinates.
+ */
+const featureToLocation = (feature) => {
+  const geometry = feature?.geometry;
+  if (geometry?.type !== 'Point' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length < 2) {
+    return null;
+  }
+  return {
+    ...feature.properties,
+    lon: geometry.coordinates[0],
+    lat: geometry.coordinates[1],
+  };
+};
+
+/**
+ * Parses a JSON export, a bare array of locations or a GeoJSON Point Feature/FeatureCollection.
+ * @param {string} text - File contents.
+ * @returns {Array<object|null>} Raw location candidates, one per entry (null for features that are
+ *   not points).
+ */
+const parseImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (Array.isArray(data)) return data;
+  if (data?.type === EXPORT_TYPE && Array.isArray(data.locations)) return data.locations;
+
+  const features = data?.type === 'FeatureCollection' ? data.features : data?.type === 'Feature' ? [data] : null;
+  if (Array.isArray(features)) return features.map(featureToLocation);
+  throw new Error('Unrecognized locations file format');
+};
+
+/**
+ * Imports locations from a JSON or GeoJSON document, appending them to the saved list.
+ * Entries without valid coordinates (or GeoJSON features that are not points) are skipped and
+ * counted; entries that duplicate an existing name and position are skipped silently.
+ * @param {string} text - File contents.
+ * @returns {{added: number, invalid: number}} The number of locations added and of invalid entries.
+ */
+export const importLocations = (text) => {
+  const entries = parseImport(text);
+  const candidates = entries
+    .map((raw) => (raw ? sanitizeLocation({ ...raw, id: undefined }) : null))
+    .filter(Boolean);
+  const invalid = entries.length - candidates.length;
+  if (candidates.length === 0) {
+    throw new Error(invalid > 0
+      ? `No valid locations found in the file (${invalid} entr${invalid === 1 ? 'y' : 'ies'} without valid point coordinates)`
+      : 'No valid locations found in the file');
+  }
+
+  const isDuplicate = (a, b) => a.name === b.name && Math.abs(a.lat - b.lat) < 1e-6 && Math.abs(a.lon - b.lon) < 1e-6;
+  const added = [];
+  candidates.forEach((candidate) => {
+    if (![...getLocations(), ...added].some((loc) => isDuplicate(loc, candidate))) added.push(candidate);
+  });
+  if (added.length > 0) setLocations([...getLocations(), ...added]);
+  return { added: added.length, invalid };
+};
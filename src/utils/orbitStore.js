@@ -0,0 +1,190 @@
+import { createStore } from './createStore';
+import { createOrbit, parseTLE } from './tle';
+
+const STORAGE_KEY = 'model-earth:tle';
+const CURRENT_STORAGE_KEY = 'model-earth:tle-current';
+const BUNDLED_TLE_URL = `${import.meta.env.BASE_URL}data/satellites.tle`;
+const CELESTRAK_GP_URL = 'https://celestrak.org/NORAD/elements/gp.php';
+// CelesTrak refreshes its GP data every few hours and asks clients not to download the same
+// element sets more often than that.
+const CURRENT_TTL_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Store for the orbital elements (TLEs) driving the satellites on the globe.
+ * At startup the bundled file (public/data/satellites.tle, source and epoch in its header) is
+ * loaded first, then the current element set of each of its satellites is downloaded from
+ * CelesTrak and replaces it. The bundled snapshot is only an offline fallback: its accuracy
+ * degrades with its age. A user-supplied file replaces both and is remembered across sessions.
+ *
+ * State: `{ status: 'loading'|'ready'|'error', source: 'bundled'|'celestrak'|'file', fileName,
+ * fetchedAt, elements, orbits, errors, updateErrors }`, where `orbits` holds the SGP4 propagator
+ * state of each element set (see createOrbit), `fetchedAt` the download time of the CelesTrak
+ * sets and `updateErrors` the satellites whose current elements could not be downloaded.
+ */
+const store = createStore({ status: 'loading', source: 'bundled', fileName: null, fetchedAt: null, elements: [], orbits: [], errors: [], updateErrors: [] });
+
+// The SGP4 propagators are only rebuilt when the element sets change.
+const setState = (changes) => store.setState((state) => {
+  const next = { ...state, ...changes };
+  return next.elements === state.elements ? next : { ...next, orbits: next.elements.map(createOrbit) };
+});
+
+/**
+ * useOrbitElements: React hook returning the orbital-elements state, re-rendering on changes.
+ * @returns {object} The store state described above.
+ */
+export const useOrbitElements = store.useStore;
+
+/**
+ * Downloads and parses the bundled TLE file.
+ * @returns {Promise<object[]>} The bundled element sets (empty when the file failed to load).
+ */
+const loadBundled = async () => {
+  setState({ status: 'loading' });
+  try {
+    const response = await fetch(BUNDLED_TLE_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { elements, errors } = parseTLE(await response.text());
+    setState({ status: 'ready', source: 'bundled', fileName: null, fetchedAt: null, elements, errors, updateErrors: [] });
+    return elements;
+  } catch (error) {
+    console.error('Error loading the bundled TLE file:', error);
+    setState({ status: 'error', source: 'bundled', fileName: null, fetchedAt: null, elements: [], errors: [error.message], updateErrors: [] });
+    return [];
+  }
+};
+
+/**
+ * Downloads the current element set of one satellite from CelesTrak.
+ * @param {number} noradId - NORAD catalog number.
+ * @returns {Promise<object>} The parsed element set.
+ */
+const fetchCurrentSet = async (noradId) => {
+  const response = await fetch(`${CELESTRAK_GP_URL}?CATNR=${noradId}&FORMAT=tle`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const text = await response.text();
+  const { elements } = parseTLE(text);
+  // Unknown or decayed objects are answered with a plain-text message instead of elements.
+  if (elements.length === 0) throw new Error(text.trim() || 'No element set returned');
+  return elements[0];
+};
+
+const toTLEText = (elements) => elements.map(({ name, line1, line2 }) => `${name}\n${line1}\n${line2}`).join('\n');
+
+const readCurrentCache = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CURRENT_STORAGE_KEY));
+    return saved?.text ? { fetchedAt: saved.fetchedAt, elements: parseTLE(saved.text).elements } : null;
+  } catch (error) {
+    console.error('Error reading cached element sets:', error);
+    return null;
+  }
+};
+
+const writeCurrentCache = ({ fetchedAt, elements }) => {
+  try {
+    localStorage.setItem(CURRENT_STORAGE_KEY, JSON.stringify({ fetchedAt, text: toTLEText(elements) }));
+  } catch (error) {
+    console.error('Error caching element sets:', error);
+  }
+};
+
+/**
+ * Replaces the bundled element sets with current ones from CelesTrak (from the local cache when
+ * downloaded less than CURRENT_TTL_MS ago). Satellites whose download fails keep their bundled
+ * set and are listed in `updateErrors`; when every download fails, an older cached download is
+ * used if there is one.
+ * @param {object[]} bundled - Bundled element sets, which also name the satellites to update.
+ * @returns {Promise<void>}
+ */
+const loadCurrent = async (bundled) => {
+  if (bundled.length === 0) return;
+  const cached = readCurrentCache();
+  let current = cached && Date.now() - cached.fetchedAt < CURRENT_TTL_MS ? cached : null;
+  const failures = new Map();
+
+  if (!current) {
+    const results = await Promise.allSettled(bundled.map((element) => fetchCurrentSet(element.noradId)));
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') failures.set(bundled[index].noradId, result.reason.message);
+    });
+    const fetched = results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+    if (fetched.length > 0) {
+      current = { fetchedAt: Date.now(), elements: fetched };
+      writeCurrentCache(current);
+    } else {
+      console.warn('Current element sets unavailable from CelesTrak:', failures.values().next().value);
+      current = cached;
+    }
+  }
+
+  // A file loaded in the meantime takes precedence.
+  if (store.getState().source === 'file') return;
+  const byId = new Map((current?.elements || []).map((element) => [element.noradId, element]));
+  const updateErrors = bundled
+    .filter((element) => !byId.has(element.noradId))
+    .map((element) => `${element.name} (${element.noradId}): ${failures.get(element.noradId) || 'no current element set'}`);
+  if (!current) {
+    setState({ updateErrors });
+    return;
+  }
+  setState({
+    status: 'ready',
+    source: 'celestrak',
+    fileName: null,
+    fetchedAt: current.fetchedAt,
+    elements: bundled.map((element) => byId.get(element.noradId) || element),
+    updateErrors,
+  });
+};
+
+/**
+ * Loads the bundled snapshot, then the current element sets.
+ * @returns {Promise<void>}
+ */
+const loadDefault = async () => loadCurrent(await loadBundled());
+
+/**
+ * Replaces the orbital elements with a user-supplied TLE file and remembers it.
+ * @param {string} text - File contents (2-line or 3-line TLE format).
+ * @param {string} fileName - Name of the file, shown in the UI.
+ * @returns {{count: number, errors: string[]}} Number of element sets loaded and rejected entries.
+ */
+export const loadTLEFile = (text, fileName) => {
+  const { elements, errors } = parseTLE(text);
+  if (elements.length === 0) {
+    throw new Error(errors[0] ? `No valid element sets (${errors[0]})` : 'No element sets found in the file');
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ fileName, text }));
+  } catch (error) {
+    console.error('Error saving TLE file:', error);
+  }
+  setState({ status: 'ready', source: 'file', fileName, fetchedAt: null, elements, errors, updateErrors: [] });
+  return { count: elements.length, errors };
+};
+
+/**
+ * Forgets the user-supplied file and goes back to the current (or bundled) elements.
+ * @returns {Promise<void>}
+ */
+export const resetTLE = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  return loadDefault();
+};
+
+// Start with the user's file when one was saved, otherwise with the current elements.
+const restoreSaved = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved?.text) {
+      loadTLEFile(saved.text, saved.fileName);
+      return true;
+    }
+  } catch (error) {
+    console.error('Error restoring saved TLE file:', error);
+  }
+  return false;
+};
+
+if (!restoreSaved()) loadDefault();
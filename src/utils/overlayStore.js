@@ -0,0 +1,105 @@
+import { createStore } from './createStore';
+import { getOverlay, loadOverlayGrid } from './overlays';
+
+const STORAGE_KEY = 'model-earth:overlay';
+
+/**
+ * Store for the data overlay drawn over the globe (see utils/overlays).
+ *
+ * State: `{ id, opacity, tiles, status: 'idle'|'loading'|'ready'|'error', grid, meta, gridId, error, hover }`:
+ * - id / opacity / tiles: User settings (remembered); `tiles` is the POWER region size in tiles per side.
+ * - grid / meta / gridId: Loaded grid, its cache metadata and the overlay it belongs to (a previous
+ *   grid stays visible while the next one loads).
+ * - hover: `{ lat, lon, value }` under the pointer, or null.
+ */
+const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+      id: getOverlay(saved?.id) ? saved.id : null,
+      opacity: typeof saved?.opacity === 'number' ? Math.min(Math.max(saved.opacity, 0.1), 1) : 0.7,
+      tiles: saved?.tiles === 3 ? 3 : 1,
+    };
+  } catch (error) {
+    console.error('Error loading overlay settings:', error);
+    return { id: null, opacity: 0.7, tiles: 1 };
+  }
+};
+
+const { getState, setState, useStore } = createStore({
+  ...loadSettings(), status: 'idle', grid: null, meta: null, gridId: null, error: null, hover: null, request: null,
+});
+let controller = null;
+
+const saveSettings = () => {
+  const { id, opacity, tiles } = getState();
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ id, opacity, tiles }));
+  } catch (error) {
+    console.error('Error saving overlay settings:', error);
+  }
+};
+
+/**
+ * useOverlay: React hook returning the overlay state, re-rendering on changes.
+ * @returns {object} The store state described above.
+ */
+export const useOverlay = useStore;
+
+/**
+ * Selects the overlay to draw (null hides it). The grid is loaded by refreshOverlay().
+ * @param {string|null} id - Overlay id (see OVERLAYS).
+ */
+export const selectOverlay = (id) => {
+  setState({ id: getOverlay(id) ? id : null, hover: null });
+  saveSettings();
+};
+
+export const setOverlayOpacity = (opacity) => {
+  setState({ opacity });
+  saveSettings();
+};
+
+export const setOverlayTiles = (tiles) => {
+  setState({ tiles });
+  saveSettings();
+};
+
+export const setOverlayHover = (hover) => setState({ hover });
+
+/**
+ * refreshOverlay: Loads the grid of the selected overlay, cancelling any request still running.
+ * Does nothing when the same request is already loaded or loading.
+ * @param {object} options - Request options.
+ * @param {{lat: number, lon: number}|null} options.center - Selected location (POWER overlays need one).
+ * @param {Date} options.date - Day to show.
+ * @returns {Promise<void>}
+ */
+export async function refreshOverlay({ center, date }) {
+  const { id, tiles, request: loadedRequest, status } = getState();
+  const overlay = getOverlay(id);
+  const needsCenter = overlay?.source === 'nasa-power';
+  const request = overlay && (!needsCenter || center)
+    ? [overlay.id, date.toISOString().slice(0, 10), needsCenter ? `${center.lat},${center.lon},${tiles}` : 'global'].join('|')
+    : null;
+  if (request === loadedRequest && status !== 'error') return;
+
+  controller?.abort();
+  controller = null;
+  if (!request) {
+    setState({ status: 'idle', grid: null, meta: null, gridId: null, error: null, request });
+    return;
+  }
+
+  const current = new AbortController();
+  controller = current;
+  setState({ status: 'loading', error: null, request });
+  try {
+    const { grid, meta } = await loadOverlayGrid(overlay, { center, date, tiles, signal: current.signal });
+    if (controller === current) setState({ status: 'ready', grid, meta, gridId: overlay.id });
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error('Error loading overlay:', error);
+    if (controller === current) setState({ status: 'error', grid: null, meta: null, gridId: null, error: error.message });
+  }
+}
@@ -0,0 +1,266 @@
+import { formatDateWithHyphen, formatDateWithoutHyphen } from './formatter';
+import { buildCacheKey, cachedFetchJSON } from './dataAccess';
+import { PARAMETER_CATALOG } from './parameters';
+import { getSunPosition } from './astronomy';
+import { toDailyInsolation } from './solar';
+import { isFillValue } from './timeSeries';
+import { combineMeta } from './providers/meta';
+
+/**
+ * Gridded data overlays drawn over the globe as equirectangular textures.
+ *
+ * A Grid is a regular lat/lon raster: `{ lat0, lon0, latStep, lonStep, rows, cols, values }`, where
+ * (lat0, lon0) is the centre of the south-west cell and `values` is row-major from the south,
+ * with null for missing cells.
+ */
+
+/**
+ * Color ramps as evenly spaced color stops, from the low to the high end of an overlay's range.
+ */
+export const COLOR_RAMPS = {
+  thermal: ['#313695', '#4575b4', '#74add1', '#abd9e9', '#fee090', '#fdae61', '#f46d43', '#d73027', '#a50026'],
+  solar: ['#1e1b4b', '#7c2d12', '#ea580c', '#f59e0b', '#fde047', '#fefce8'],
+  cloud: ['#0c4a6e', '#475569', '#94a3b8', '#e2e8f0', '#ffffff'],
+};
+
+const fromCatalog = (id) => {
+  const { label, unit, community } = PARAMETER_CATALOG[id];
+  return { label, unit, community, source: 'nasa-power' };
+};
+
+/**
+ * Overlay catalog, in the order listed in the overlay panel.
+ * - source: 'nasa-power' (daily regional grids around the selected location) or 'computed'
+ *   (global field derived offline from the solar ephemeris, so one layer works without network).
+ * - community: POWER community the parameter is requested through (from the parameter catalog).
+ * - ramp / range: Color ramp and the [min, max] it spans; values outside are clamped.
+ */
+export const OVERLAYS = [
+  { id: 'T2M', ...fromCatalog('T2M'), ramp: 'thermal', range: [-30, 40] },
+  { id: 'ALLSKY_SFC_SW_DWN', ...fromCatalog('ALLSKY_SFC_SW_DWN'), ramp: 'solar', range: [0, 10] },
+  { id: 'CLOUD_AMT', ...fromCatalog('CLOUD_AMT'), ramp: 'cloud', range: [0, 100] },
+  { id: 'TOA_INSOLATION', label: 'Top-of-Atmosphere Insolation', unit: 'kWh/m²/day', source: 'computed', ramp: 'solar', range: [0, 12] },
+];
+
+/**
+ * Returns an overlay of the catalog by id.
+ * @param {string} id - Overlay id.
+ * @returns {object|undefined} The overlay.
+ */
+export const getOverlay = (id) => OVERLAYS.find((overlay) => overlay.id === id);
+
+const hexToRgb = (hex) => [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+
+/**
+ * getRampColor: Color of a value on a ramp (linear interpolation between stops).
+ * @param {string} ramp - Ramp id (see COLOR_RAMPS).
+ * @param {number} value - Value to color.
+ * @param {number[]} range - [min, max] spanned by the ramp.
+ * @returns {number[]} The [r, g, b] color (0-255).
+ */
+export const getRampColor = (ramp, value, range) => {
+  const stops = COLOR_RAMPS[ramp];
+  const position = Math.min(Math.max((value - range[0]) / (range[1] - range[0]), 0), 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const from = hexToRgb(stops[index]);
+  const to = hexToRgb(stops[index + 1]);
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * (position - index)));
+};
+
+/**
+ * CSS gradient of a ramp, for legends.
+ * @param {string} ramp - Ramp id (see COLOR_RAMPS).
+ * @returns {string} A `linear-gradient(...)` value.
+ */
+export const getRampGradient = (ramp) => `linear-gradient(to right, ${COLOR_RAMPS[ramp].join(', ')})`;
+
+/**
+ * Value of the grid cell containing a point.
+ * @param {object} grid - Grid.
+ * @param {number} lat - Latitude in decimal degrees.
+ * @param {number} lon - Longitude in decimal degrees.
+ * @returns {number|null} The value, or null outside the grid or for missing cells.
+ */
+export const getGridValue = (grid, lat, lon) => {
+  const row = Math.round((lat - grid.lat0) / grid.latStep);
+  const col = Math.round((lon - grid.lon0) / grid.lonStep);
+  if (row < 0 || row >= grid.rows || col < 0 || col >= grid.cols) return null;
+  return grid.values[row * grid.cols + col];
+};
+
+/**
+ * Smallest spacing between distinct sorted coordinates (the grid resolution).
+ */
+const getStep = (coordinates) => {
+  let step = Infinity;
+  for (let index = 1; index < coordinates.length; index += 1) {
+    const gap = coordinates[index] - coordinates[index - 1];
+    if (gap > 1e-6 && gap < step) step = gap;
+  }
+  return Number.isFinite(step) ? step : 1;
+};
+
+/**
+ * buildGrid: Arranges scattered cell-centre values (e.g. several POWER tiles) on a regular grid.
+ * @param {Array<{lat: number, lon: number, value: number|null}>} points - Cell centres.
+ * @returns {object|null} The Grid, or null when there are no points.
+ */
+export function buildGrid(points) {
+  if (points.length === 0) return null;
+  const lats = [...new Set(points.map((point) => point.lat))].sort((a, b) => a - b);
+  const lons = [...new Set(points.map((point) => point.lon))].sort((a, b) => a - b);
+  const latStep = getStep(lats);
+  const lonStep = getStep(lons);
+  const grid = {
+    lat0: lats[0],
+    lon0: lons[0],
+    latStep,
+    lonStep,
+    rows: Math.round((lats[lats.length - 1] - lats[0]) / latStep) + 1,
+    cols: Math.round((lons[lons.length - 1] - lons[0]) / lonStep) + 1,
+  };
+  grid.values = new Array(grid.rows * grid.cols).fill(null);
+  points.forEach(({ lat, lon, value }) => {
+    const row = Math.round((lat - grid.lat0) / latStep);
+    const col = Math.round((lon - grid.lon0) / lonStep);
+    grid.values[row * grid.cols + col] = value;
+  });
+  return grid;
+}
+
+// POWER regional requests are limited to 10° × 10° boxes.
+const TILE_SIZE = 10;
+
+/**
+ * Lists the POWER regional boxes covering `tiles` × `tiles` tiles centred on a location,
+ * kept inside the valid latitude/longitude ranges.
+ * @param {{lat: number, lon: number}} center - Location in decimal degrees.
+ * @param {number} tiles - Tiles per side (odd).
+ * @returns {Array<{latMin: number, latMax: number, lonMin: number, lonMax: number}>} The boxes.
+ */
+export const getRegionTiles = (center, tiles) => {
+  const span = TILE_SIZE * tiles;
+  const latMin = Math.min(Math.max(Math.round(center.lat - span / 2), -90), 90 - span);
+  const lonMin = Math.min(Math.max(Math.round(center.lon - span / 2), -180), 180 - span);
+  const boxes = [];
+  for (let row = 0; row < tiles; row += 1) {
+    for (let col = 0; col < tiles; col += 1) {
+      const south = latMin + row * TILE_SIZE;
+      const west = lonMin + col * TILE_SIZE;
+      boxes.push({ latMin: south, latMax: south + TILE_SIZE, lonMin: west, lonMax: west + TILE_SIZE });
+    }
+  }
+  return boxes;
+};
+
+/**
+ * Fetches one daily POWER parameter over a region, as a Grid.
+ * @param {object} overlay - POWER overlay (see OVERLAYS).
+ * @param {object} options - Request options.
+ * @param {{lat: number, lon: number}} options.center - Centre of the region.
+ * @param {Date} options.date - Day to show.
+ * @param {number} options.tiles - Tiles per side (see getRegionTiles).
+ * @param {AbortSignal} [options.signal] - Abort signal.
+ * @returns {Promise<{grid: object, meta: object}>} The grid and the cache metadata of its tiles.
+ */
+const loadPowerGrid = async (overlay, { center, date, tiles, signal }) => {
+  const day = formatDateWithHyphen(date);
+  const responses = await Promise.all(getRegionTiles(center, tiles).map((box) => {
+    const url = `https://power.larc.nasa.gov/api/temporal/daily/regional?parameters=${overlay.id}&community=${overlay.community}&latitude-min=${box.latMin}&latitude-max=${box.latMax}&longitude-min=${box.lonMin}&longitude-max=${box.lonMax}&start=${day}&end=${day}&format=JSON`;
+    const key = buildCacheKey({
+      provider: `nasa-power-regional-${overlay.community}`,
+      lat: box.latMin,
+      lon: box.lonMin,
+      parameters: [overlay.id],
+      start: formatDateWithoutHyphen(date),
+      end: formatDateWithoutHyphen(date),
+    });
+    return cachedFetchJSON(key, url, { signal }).catch((error) => {
+      if (error.name === 'AbortError') throw error;
+      throw new Error(`NASA POWER regional request failed (${error.message})`);
+    });
+  }));
+
+  const validRange = PARAMETER_CATALOG[overlay.id]?.validRange;
+  const points = responses.flatMap(({ data }) => {
+    if (!Array.isArray(data?.features)) throw new Error('Invalid data format received from NASA POWER');
+    const fillValues = typeof data.header?.fill_value === 'number' ? [data.header.fill_value] : [];
+    return data.features.map((feature) => {
+      const [lon, lat] = feature.geometry.coordinates;
+      const raw = Object.values(feature.properties?.parameter?.[overlay.id] || {})[0];
+      const missing = isFillValue('nasa-power', raw, fillValues) || (validRange && (raw < validRange[0] || raw > validRange[1]));
+      return { lat, lon, value: missing ? null : raw };
+    });
+  });
+  const grid = buildGrid(points);
+  if (!grid) throw new Error('NASA POWER returned no grid cells for this region');
+  return { grid, meta: combineMeta(responses) };
+};
+
+/**
+ * computeInsolationGrid: Daily mean solar energy reaching the top of the atmosphere, from the
+ * sun's declination and the Earth-Sun distance. It only varies with latitude and season.
+ * @param {Date} date - Day of interest.
+ * @param {number} [step] - Cell size in degrees.
+ * @returns {object} A global Grid in kWh/m²/day.
+ */
+export function computeInsolationGrid(date, step = 2) {
+  const SOLAR_CONSTANT = 1361;
+  const noon = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 12));
+  const { declination } = getSunPosition(noon);
+  const dayOfYear = (noon - Date.UTC(noon.getUTCFullYear(), 0, 0)) / 86400000;
+  const distanceFactor = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+
+  const points = [];
+  for (let lat = -90 + step / 2; lat < 90; lat += step) {
+    const phi = (lat * Math.PI) / 180;
+    // Hour angle of sunset (0 during polar night, π during polar day).
+    const sunset = Math.acos(Math.min(Math.max(-Math.tan(phi) * Math.tan(declination), -1), 1));
+    const watts = (SOLAR_CONSTANT / Math.PI) * distanceFactor *
+      (sunset * Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.sin(sunset));
+    for (let lon = -180 + step / 2; lon < 180; lon += step) {
+      points.push({ lat, lon, value: toDailyInsolation(Math.max(watts, 0)) });
+    }
+  }
+  return buildGrid(points);
+}
+
+/**
+ * loadOverlayGrid: Loads the grid of an overlay.
+ * @param {object} overlay - Overlay of the catalog.
+ * @param {object} options - Options for POWER overlays (see loadPowerGrid); computed overlays only use `date`.
+ * @returns {Promise<{grid: object, meta: object|null}>} The grid and its cache metadata (null when computed).
+ */
+export async function loadOverlayGrid(overlay, options) {
+  if (overlay.source === 'computed') return { grid: computeInsolationGrid(options.date), meta: null };
+  return loadPowerGrid(overlay, options);
+}
+
+/**
+ * renderGridTexture: Paints a grid onto a global equirectangular canvas (west edge at -180°,
+ * north at the top, matching the Earth texture); cells outside the grid stay transparent.
+ * @param {object} grid - Grid.
+ * @param {object} overlay - Overlay providing the ramp and range.
+ * @param {number} [width] - Canvas width in pixels (the height is half of it).
+ * @returns {HTMLCanvasElement} The canvas.
+ */
+export function renderGridTexture(grid, overlay, width = 1440) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = width / 2;
+  const context = canvas.getContext('2d');
+  const scale = width / 360;
+  const cellWidth = grid.lonStep * scale;
+  const cellHeight = grid.latStep * scale;
+  grid.values.forEach((value, index) => {
+    if (value === null) return;
+    const lat = grid.lat0 + Math.floor(index / grid.cols) * grid.latStep;
+    const lon = grid.lon0 + (index % grid.cols) * grid.lonStep;
+    context.fillStyle = `rgb(${getRampColor(overlay.ramp, value, overlay.range).join(',')})`;
+    // Round outwards so neighbouring cells overlap instead of leaving hairline gaps.
+    const x = Math.floor((lon + 180) * scale - cellWidth / 2);
+    const y = Math.floor((90 - lat) * scale - cellHeight / 2);
+    context.fillRect(x, y, Math.ceil(cellWidth) + 1, Math.ceil(cellHeight) + 1);
+  });
+  return canvas;
+}
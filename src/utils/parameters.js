@@ -0,0 +1,149 @@
+/**
+ * NASA POWER user communities. The community selects the unit conventions POWER
+ * applies to a request, so each parameter is always fetched through the community it belongs to.
+ */
+export const COMMUNITIES = {
+  RE: { id: 'RE', label: 'Renewable Energy' },
+  AG: { id: 'AG', label: 'Agroclimatology' },
+  SB: { id: 'SB', label: 'Sustainable Buildings' },
+};
+
+/**
+ * Catalog of NASA POWER daily parameters the dashboard can display.
+ * - unit: Unit returned by POWER for the parameter's community.
+ * - validRange: Physically plausible [min, max]; values outside it are treated as missing.
+ * - displayRange: [min, max] used to scale the metric card progress bar.
+ * - community: POWER community the parameter is requested through.
+ * - chart: Dashboard chart the series is drawn in ('climate' area chart or 'energy' line chart).
+ * - axis: 'right' puts the series on a secondary Y axis (for values with a very different magnitude).
+ * - decimals: Display precision (defaults to 1).
+ * - theme / icon: Visual identifiers resolved by the dashboard.
+ */
+export const PARAMETER_CATALOG = {
+  T2M: {
+    id: 'T2M', label: 'Temperature', unit: '°C', validRange: [-90, 60], displayRange: [0, 40],
+    community: 'RE', chart: 'climate', color: '#f59e0b', theme: 'orange', icon: 'thermometer',
+  },
+  T2M_MAX: {
+    id: 'T2M_MAX', label: 'Max Temperature', unit: '°C', validRange: [-90, 60], displayRange: [0, 45],
+    community: 'AG', chart: 'climate', color: '#ef4444', theme: 'red', icon: 'thermometer-sun',
+  },
+  T2M_MIN: {
+    id: 'T2M_MIN', label: 'Min Temperature', unit: '°C', validRange: [-90, 60], displayRange: [-10, 30],
+    community: 'AG', chart: 'climate', color: '#38bdf8', theme: 'sky', icon: 'thermometer-snowflake',
+  },
+  T2MDEW: {
+    id: 'T2MDEW', label: 'Dew Point', unit: '°C', validRange: [-90, 40], displayRange: [-10, 30],
+    community: 'SB', chart: 'climate', color: '#2dd4bf', theme: 'teal', icon: 'droplet',
+  },
+  RH2M: {
+    id: 'RH2M', label: 'Humidity', unit: '%', validRange: [0, 100], displayRange: [0, 100],
+    community: 'RE', chart: 'climate', color: '#06b6d4', theme: 'cyan', icon: 'droplets',
+  },
+  QV2M: {
+    id: 'QV2M', label: 'Specific Humidity', unit: 'g/kg', validRange: [0, 40], displayRange: [0, 25],
+    community: 'SB', chart: 'climate', color: '#818cf8', theme: 'indigo', icon: 'droplets',
+  },
+  PRECTOTCORR: {
+    id: 'PRECTOTCORR', label: 'Precipitation', unit: 'mm/day', validRange: [0, 1000], displayRange: [0, 50],
+    community: 'AG', chart: 'climate', color: '#3b82f6', theme: 'blue', icon: 'cloud-rain',
+  },
+  GWETTOP: {
+    id: 'GWETTOP', label: 'Surface Soil Wetness', unit: '', validRange: [0, 1], displayRange: [0, 1], decimals: 2,
+    community: 'AG', chart: 'climate', color: '#84cc16', theme: 'lime', icon: 'sprout',
+  },
+  WS2M: {
+    id: 'WS2M', label: 'Wind Speed 2m', unit: 'm/s', validRange: [0, 75], displayRange: [0, 15],
+    community: 'AG', chart: 'energy', color: '#34d399', theme: 'green', icon: 'wind',
+  },
+  WS10M: {
+    id: 'WS10M', label: 'Wind Speed', unit: 'm/s', validRange: [0, 75], displayRange: [0, 20],
+    community: 'RE', chart: 'energy', color: '#10b981', theme: 'green', icon: 'wind',
+  },
+  WS50M: {
+    id: 'WS50M', label: 'Wind Speed 50m', unit: 'm/s', validRange: [0, 90], displayRange: [0, 25],
+    community: 'RE', chart: 'energy', color: '#059669', theme: 'green', icon: 'wind',
+  },
+  ALLSKY_SFC_SW_DWN: {
+    id: 'ALLSKY_SFC_SW_DWN', label: 'Solar Irradiance', unit: 'kWh/m²/day', validRange: [0, 12], displayRange: [0, 10],
+    community: 'RE', chart: 'energy', color: '#eab308', theme: 'yellow', icon: 'sun',
+  },
+  CLRSKY_SFC_SW_DWN: {
+    id: 'CLRSKY_SFC_SW_DWN', label: 'Clear-Sky Irradiance', unit: 'kWh/m²/day', validRange: [0, 12], displayRange: [0, 10],
+    community: 'RE', chart: 'energy', color: '#facc15', theme: 'yellow', icon: 'sun-dim',
+  },
+  ALLSKY_SFC_PAR_TOT: {
+    id: 'ALLSKY_SFC_PAR_TOT', label: 'PAR Total', unit: 'W/m²', validRange: [0, 250], displayRange: [0, 150],
+    community: 'AG', chart: 'energy', axis: 'right', color: '#a3e635', theme: 'lime', icon: 'leaf',
+  },
+  CLOUD_AMT: {
+    id: 'CLOUD_AMT', label: 'Cloud Amount', unit: '%', validRange: [0, 100], displayRange: [0, 100],
+    community: 'SB', chart: 'energy', color: '#94a3b8', theme: 'slate', icon: 'cloud',
+  },
+  PS: {
+    id: 'PS', label: 'Surface Pressure', unit: 'kPa', validRange: [30, 110], displayRange: [80, 105],
+    community: 'SB', chart: 'energy', axis: 'right', color: '#a855f7', theme: 'purple', icon: 'gauge',
+  },
+};
+
+/**
+ * Parameters selected when the app starts (the original fixed set).
+ */
+export const DEFAULT_PARAMETERS = ['T2M', 'RH2M', 'WS10M', 'ALLSKY_SFC_SW_DWN'];
+
+/**
+ * Groups parameter ids by the community they must be requested through.
+ * Unknown ids are ignored.
+ * @param {string[]} parameterIds - Catalog parameter ids.
+ * @returns {Object<string, string[]>} Parameter ids keyed by community id.
+ */
+export const groupByCommunity = (parameterIds) =>
+  parameterIds.reduce((groups, id) => {
+    const entry = PARAMETER_CATALOG[id];
+    if (entry) (groups[entry.community] ||= []).push(id);
+    return groups;
+  }, {});
+
+/**
+ * Formats a parameter's label with its unit, e.g. 'Temperature (°C)'.
+ * @param {string} id - Catalog parameter id.
+ * @returns {string} The label.
+ */
+export const formatParameterLabel = (id) => {
+  const entry = PARAMETER_CATALOG[id];
+  if (!entry) return id;
+  return entry.unit ? `${entry.label} (${entry.unit})` : entry.label;
+};
+
+/**
+ * Rounds a value to a parameter's display precision.
+ * @param {string} id - Catalog parameter id.
+ * @param {number} value - Value to round.
+ * @returns {number} The rounded value.
+ */
+export const roundValue = (id, value) => parseFloat(value.toFixed(PARAMETER_CATALOG[id]?.decimals ?? 1));
+
+/**
+ * Formats a parameter value with its unit, e.g. '25.3°C', '70%' or '4.2 m/s'.
+ * @param {string} id - Catalog parameter id.
+ * @param {number|null} value - Value to format.
+ * @returns {string} The formatted value, or '—' when missing.
+ */
+export const formatParameterValue = (id, value) => {
+  if (value === null || value === undefined) return '—';
+  const unit = PARAMETER_CATALOG[id]?.unit || '';
+  if (!unit) return `${value}`;
+  return unit.startsWith('°') || unit === '%' ? `${value}${unit}` : `${value} ${unit}`;
+};
+
+/**
+ * Formats a difference to a parameter's value with its sign, e.g. '+1.2°C' or '−3%'.
+ * @param {string} id - Catalog parameter id.
+ * @param {number|null} value - Difference.
+ * @returns {string} The formatted difference, or '—' when missing.
+ */
+export const formatAnomaly = (id, value) => {
+  if (value === null || value === undefined) return '—';
+  const rounded = roundValue(id, value);
+  return `${rounded >= 0 ? '+' : '−'}${formatParameterValue(id, Math.abs(rounded))}`;
+};
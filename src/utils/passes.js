@@ -0,0 +1,128 @@
+import { degreesToRadians, ecfToLookAngles, eciToEcf, gstime } from 'satellite.js';
+import { propagateInertial } from './tle';
+
+/**
+ * Pass prediction: when a satellite rises above, culminates in and sets below an observer's sky.
+ * The elevation is scanned at a coarse step (shorter than any LEO pass), then rise/set instants
+ * are refined by bisection and the culmination by ternary search.
+ */
+
+const RAD = 180 / Math.PI;
+const SCAN_STEP_MS = 60 * 1000;
+const TRACK_STEP_MS = 20 * 1000;
+const PRECISION_MS = 1000;
+
+/**
+ * Azimuth/elevation of a satellite seen from an observer.
+ * @param {object} orbit - Orbit from createOrbit() (utils/tle).
+ * @param {object} observer - Observer in satellite.js geodetic form (radians, km).
+ * @param {number} time - Epoch milliseconds.
+ * @returns {{azimuth: number, elevation: number, range: number}|null} Degrees (azimuth clockwise
+ *   from north) and km, or null when SGP4 fails.
+ */
+const lookAt = (orbit, observer, time) => {
+  const date = new Date(time);
+  const position = propagateInertial(orbit, date);
+  if (!position) return null;
+  const angles = ecfToLookAngles(observer, eciToEcf(position, gstime(date)));
+  return { azimuth: angles.azimuth * RAD, elevation: angles.elevation * RAD, range: angles.rangeSat };
+};
+
+/**
+ * Finds the instant where the elevation crosses `threshold` between two times (bisection).
+ * @returns {number} Epoch milliseconds of the crossing.
+ */
+const findCrossing = (elevationAt, from, to, threshold) => {
+  let low = from;
+  let high = to;
+  const risingAtLow = elevationAt(low) < threshold;
+  while (high - low > PRECISION_MS) {
+    const middle = (low + high) / 2;
+    if ((elevationAt(middle) < threshold) === risingAtLow) low = middle;
+    else high = middle;
+  }
+  return Math.round((low + high) / 2);
+};
+
+/**
+ * Finds the time of maximum elevation within a pass (ternary search; a pass has a single peak).
+ * @returns {number} Epoch milliseconds of the culmination.
+ */
+const findCulmination = (elevationAt, from, to) => {
+  let low = from;
+  let high = to;
+  while (high - low > PRECISION_MS) {
+    const third = (high - low) / 3;
+    if (elevationAt(low + third) < elevationAt(high - third)) low += third;
+    else high -= third;
+  }
+  return Math.round((low + high) / 2);
+};
+
+/**
+ * predictPasses: Lists the passes of a satellite over a location within a time window.
+ * A pass already in progress at `start` is included with `inProgress: true` (its rise is `start`).
+ * @param {object} orbit - Orbit from createOrbit() (utils/tle).
+ * @param {{lat: number, lon: number, height?: number}} location - Observer (degrees, height in km).
+ * @param {number} start - Window start (epoch milliseconds).
+ * @param {number} end - Window end (epoch milliseconds).
+ * @param {object} [options] - Options.
+ * @param {number} [options.minElevation] - Passes whose maximum elevation stays below this (degrees) are dropped.
+ * @returns {object[]} Passes: `{ rise, culmination, set }` (each `{ time, azimuth, elevation }`),
+ *   `maxElevation`, `duration` (seconds), `inProgress` and a sky `track` of `{ azimuth, elevation }`.
+ */
+export function predictPasses(orbit, location, start, end, { minElevation = 0 } = {}) {
+  const observer = {
+    latitude: degreesToRadians(location.lat),
+    longitude: degreesToRadians(location.lon),
+    height: location.height || 0,
+  };
+  const elevationAt = (time) => lookAt(orbit, observer, time)?.elevation ?? -90;
+  const describe = (time) => ({ time, ...lookAt(orbit, observer, time) });
+
+  const passes = [];
+  let previousTime = start;
+  let previousElevation = elevationAt(start);
+  let riseTime = previousElevation >= 0 ? start : null;
+
+  for (let time = start + SCAN_STEP_MS; time <= end + SCAN_STEP_MS; time += SCAN_STEP_MS) {
+    const elevation = elevationAt(time);
+    if (previousElevation < 0 && elevation >= 0) {
+      riseTime = findCrossing(elevationAt, previousTime, time, 0);
+    } else if (previousElevation >= 0 && elevation < 0 && riseTime !== null) {
+      const setTime = findCrossing(elevationAt, previousTime, time, 0);
+      const culminationTime = findCulmination(elevationAt, riseTime, setTime);
+      const culmination = describe(culminationTime);
+      if (culmination.elevation >= minElevation) {
+        const track = [];
+        for (let point = riseTime; point < setTime; point += TRACK_STEP_MS) track.push(describe(point));
+        track.push(describe(setTime));
+        passes.push({
+          rise: describe(riseTime),
+          culmination,
+          set: describe(setTime),
+          maxElevation: culmination.elevation,
+          duration: Math.round((setTime - riseTime) / 1000),
+          inProgress: riseTime === start,
+          track,
+        });
+      }
+      riseTime = null;
+    }
+    // Stop once past the window, unless a pass that rose inside it still has to set.
+    if (time > end && riseTime === null) break;
+    previousTime = time;
+    previousElevation = elevation;
+  }
+  return passes;
+}
+
+/**
+ * Converts an azimuth to a 16-point compass direction, e.g. 'NNE'.
+ * @param {number} azimuth - Degrees clockwise from north.
+ * @returns {string} The compass direction.
+ */
+export const toCompass = (azimuth) =>
+  ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'][
+    Math.round((((azimuth % 360) + 360) % 360) / 22.5) % 16
+  ];
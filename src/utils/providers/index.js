@@ -0,0 +1,108 @@
+/**
+ * Data provider registry.
+ *
+ * A provider is an object with:
+ * - id: Unique identifier (e.g. 'nasa-power').
+ * - name: Display name.
+ * - variables: Supported variables keyed by id, each `{ label, unit, resolution }`.
+ * - fetchSeries({ location, range, variables, signal }): Resolves to
+ *   `{ series: { [variableId]: TimeSeries }, meta: { fromCache, stale, fetchedAt }, errors? }`, where
+ *   the optional `errors` (`[{ variables, message }]`) report the variables that failed while the
+ *   others succeeded. It rejects when nothing could be fetched.
+ *
+ * TimeSeries is the normalized model defined in utils/timeSeries.
+ */
+import { nasaPowerProvider } from './nasaPower';
+import { openMeteoSatelliteProvider } from './openMeteoSatellite';
+import { combineMeta } from './meta';
+
+const providers = [];
+
+/**
+ * Registers a provider. Variables are resolved to the first registered provider that supports them.
+ * @param {object} provider - Provider implementing the interface described above.
+ */
+export const registerProvider = (provider) => {
+  if (!provider?.id || typeof provider.fetchSeries !== 'function' || !provider.variables) {
+    throw new Error('A provider needs an id, a variables map and a fetchSeries() method');
+  }
+  if (providers.some((item) => item.id === provider.id)) {
+    throw new Error(`Provider "${provider.id}" is already registered`);
+  }
+  providers.push(provider);
+};
+
+/**
+ * Returns a registered provider by id.
+ * @param {string} id - Provider id.
+ * @returns {object|undefined} The provider.
+ */
+export const getProvider = (id) => providers.find((provider) => provider.id === id);
+
+/**
+ * Returns the registered providers, in resolution order.
+ * @returns {object[]} The providers.
+ */
+export const listProviders = () => [...providers];
+
+/**
+ * Returns the provider that supplies a variable.
+ * @param {string} variable - Variable id.
+ * @returns {object|undefined} The provider.
+ */
+export const findProviderForVariable = (variable) =>
+  providers.find((provider) => Object.prototype.hasOwnProperty.call(provider.variables, variable));
+
+/**
+ * loadSeries: Fetches normalized time series for the requested variables, routing each
+ * variable to its provider and querying all providers in parallel.
+ * A failing provider does not fail the whole request; its error is reported in `errors`, with the
+ * variables it affects.
+ * @param {object} request - Request description.
+ * @param {{lat: number, lon: number}} request.location - Location to query.
+ * @param {{startDate: Date, endDate: Date}} request.range - Inclusive date range (see utils/dateRange).
+ * @param {string[]} request.variables - Variable ids.
+ * @param {AbortSignal} [request.signal] - Aborts every provider request.
+ * @returns {Promise<{series: object, meta: object, errors: object[]}>} Series keyed by variable id,
+ *   combined cache metadata, and errors as `{ provider, variables, message }`.
+ */
+export async function loadSeries({ location, range, variables, signal }) {
+  const byProvider = new Map();
+  const errors = [];
+  variables.forEach((variable) => {
+    const provider = findProviderForVariable(variable);
+    if (!provider) {
+      errors.push({ provider: null, variables: [variable], message: `No provider supplies "${variable}"` });
+      return;
+    }
+    if (!byProvider.has(provider)) byProvider.set(provider, []);
+    byProvider.get(provider).push(variable);
+  });
+
+  const results = await Promise.allSettled(
+    [...byProvider.entries()].map(([provider, providerVariables]) =>
+      provider.fetchSeries({ location, range, variables: providerVariables, signal })
+    )
+  );
+  if (signal?.aborted) throw new DOMException('The request was aborted', 'AbortError');
+
+  const providerEntries = [...byProvider.entries()];
+  const series = {};
+  const metas = [];
+  results.forEach((result, index) => {
+    const [provider, providerVariables] = providerEntries[index];
+    if (result.status === 'fulfilled') {
+      Object.assign(series, result.value.series);
+      metas.push(result.value.meta);
+      (result.value.errors || []).forEach((error) => errors.push({ provider: provider.id, ...error }));
+    } else {
+      console.warn(`Provider "${provider.id}" failed:`, result.reason);
+      errors.push({ provider: provider.id, variables: providerVariables, message: result.reason?.message || 'Request failed' });
+    }
+  });
+
+  return { series, meta: combineMeta(metas), errors };
+}
+
+registerProvider(nasaPowerProvider);
+registerProvider(openMeteoSatelliteProvider);
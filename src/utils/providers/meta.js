@@ -0,0 +1,11 @@
+/**
+ * Combines the cache metadata of several responses: the oldest fetch time wins,
+ * and the result is stale/cached if any part of it is.
+ * @param {object[]} metas - `{ fromCache, stale, fetchedAt }` objects.
+ * @returns {{fromCache: boolean, stale: boolean, fetchedAt: number|null}} The combined metadata.
+ */
+export const combineMeta = (metas) => ({
+  fromCache: metas.some((meta) => meta.fromCache),
+  stale: metas.some((meta) => meta.stale),
+  fetchedAt: metas.length > 0 ? Math.min(...metas.map((meta) => meta.fetchedAt)) : null,
+});
@@ -0,0 +1,85 @@
+import { formatDateWithHyphen, formatDateWithoutHyphen } from '../formatter';
+import { buildCacheKey, cachedFetchJSON } from '../dataAccess';
+import { PARAMETER_CATALOG, groupByCommunity } from '../parameters';
+import { createSeries } from '../timeSeries';
+import { combineMeta } from './meta';
+
+const PROVIDER_ID = 'nasa-power';
+
+/**
+ * NASA POWER daily point adapter.
+ * Every parameter of the catalog is requested through its own community (one request per community).
+ * A failed community only fails its own parameters, reported in `errors`; the request fails when
+ * every community does.
+ */
+export const nasaPowerProvider = {
+  id: PROVIDER_ID,
+  name: 'NASA POWER',
+  variables: Object.fromEntries(
+    Object.values(PARAMETER_CATALOG).map((entry) => [entry.id, { label: entry.label, unit: entry.unit, resolution: 'daily' }])
+  ),
+
+  async fetchSeries({ location, range, variables, signal }) {
+    const { lat, lon } = location;
+    const start = formatDateWithoutHyphen(range.startDate);
+    const end = formatDateWithoutHyphen(range.endDate);
+
+    const groups = Object.entries(groupByCommunity(variables));
+    const results = await Promise.allSettled(
+      groups.map(async ([community, ids]) => {
+        const url = `https://power.larc.nasa.gov/api/temporal/daily/point?parameters=${ids.join(',')}&community=${community}&longitude=${lon}&latitude=${lat}&start=${formatDateWithHyphen(range.startDate)}&end=${formatDateWithHyphen(range.endDate)}&format=JSON`;
+        const key = buildCacheKey({ provider: `${PROVIDER_ID}-${community}`, lat, lon, parameters: ids, start, end });
+        const response = await cachedFetchJSON(key, url, { signal }).catch((error) => {
+          if (error.name === 'AbortError') throw error;
+          throw new Error(`NASA POWER request failed (${error.message})`);
+        });
+        if (!response.data?.properties?.parameter) {
+          throw new Error('Invalid data format received from NASA POWER');
+        }
+        return response;
+      })
+    );
+
+    const aborted = results.find((result) => result.status === 'rejected' && result.reason?.name === 'AbortError');
+    if (aborted) throw aborted.reason;
+    const failed = results.filter((result) => result.status === 'rejected');
+    if (failed.length === results.length && failed.length > 0) throw failed[0].reason;
+
+    const responses = [];
+    const errors = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        responses.push(result.value);
+      } else {
+        const [community, ids] = groups[index];
+        console.warn(`NASA POWER ${community} community failed:`, result.reason);
+        errors.push({ variables: ids, message: result.reason?.message || 'Request failed' });
+      }
+    });
+
+    const series = {};
+    responses.forEach(({ data }) => {
+      const parameters = data.properties.parameter;
+      // The response header announces the fill value used for missing days.
+      const fillValues = typeof data.header?.fill_value === 'number' ? [data.header.fill_value] : [];
+      Object.entries(parameters).forEach(([id, valuesByDate]) => {
+        const entry = PARAMETER_CATALOG[id];
+        const dates = Object.keys(valuesByDate);
+        series[id] = createSeries({
+          variable: id,
+          provider: PROVIDER_ID,
+          label: entry?.label || id,
+          unit: entry?.unit || data.parameters?.[id]?.units || '',
+          resolution: 'daily',
+          // POWER keys days as 'YYYYMMDD'; normalize to ISO 'YYYY-MM-DD'.
+          time: dates.map((date) => `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`),
+          rawValues: dates.map((date) => valuesByDate[date]),
+          fillValues,
+          validRange: entry?.validRange,
+        });
+      });
+    });
+
+    return { series, meta: combineMeta(responses), errors };
+  },
+};
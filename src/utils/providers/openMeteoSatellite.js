@@ -0,0 +1,62 @@
+import { formatDateWithoutHyphen } from '../formatter';
+import { buildCacheKey, cachedFetchJSON } from '../dataAccess';
+import { createSeries } from '../timeSeries';
+import { combineMeta } from './meta';
+
+const PROVIDER_ID = 'open-meteo-satellite';
+
+/**
+ * Hourly radiation variables served by the Open-Meteo satellite radiation archive.
+ */
+const VARIABLES = {
+  shortwave_radiation: { label: 'Shortwave Radiation', unit: 'W/m²', resolution: 'hourly' },
+  direct_radiation: { label: 'Direct Radiation', unit: 'W/m²', resolution: 'hourly' },
+  direct_radiation_instant: { label: 'Direct Radiation (instant)', unit: 'W/m²', resolution: 'hourly' },
+  diffuse_radiation_instant: { label: 'Diffuse Radiation (instant)', unit: 'W/m²', resolution: 'hourly' },
+};
+
+/**
+ * Open-Meteo satellite archive adapter. Hourly data is requested in the location's local time
+ * (`timezone=auto`), so days start at local midnight and the diurnal profile reads in local hours.
+ */
+export const openMeteoSatelliteProvider = {
+  id: PROVIDER_ID,
+  name: 'Open-Meteo Satellite',
+  variables: VARIABLES,
+
+  async fetchSeries({ location, range, variables, signal }) {
+    const { lat, lon } = location;
+    const start = formatDateWithoutHyphen(range.startDate);
+    const end = formatDateWithoutHyphen(range.endDate);
+    const url = `https://satellite-api.open-meteo.com/v1/archive?latitude=${lat}&longitude=${lon}&hourly=${variables.join(',')}&models=satellite_radiation_seamless&timezone=auto&start_date=${start}&end_date=${end}`;
+    // Keyed apart from the responses cached while the archive was requested in UTC.
+    const key = buildCacheKey({ provider: `${PROVIDER_ID}-local`, lat, lon, parameters: variables, start, end });
+
+    const response = await cachedFetchJSON(key, url, { signal }).catch((error) => {
+      if (error.name === 'AbortError') throw error;
+      throw new Error(`Open-Meteo request failed (${error.message})`);
+    });
+    const { hourly, hourly_units: units, timezone } = response.data || {};
+    if (!hourly?.time) {
+      throw new Error('Invalid data format received from Open-Meteo');
+    }
+
+    const series = {};
+    variables.forEach((variable) => {
+      if (!hourly[variable]) return;
+      series[variable] = createSeries({
+        variable,
+        provider: PROVIDER_ID,
+        label: VARIABLES[variable].label,
+        unit: units?.[variable] || VARIABLES[variable].unit,
+        resolution: 'hourly',
+        time: hourly.time,
+        timeZone: timezone || 'UTC',
+        rawValues: hourly[variable],
+        validRange: [0, 1500],
+      });
+    });
+
+    return { series, meta: combineMeta([response]) };
+  },
+};
@@ -0,0 +1,84 @@
+import { createStore } from './createStore';
+
+const STORAGE_KEY = 'model-earth:quality';
+
+/**
+ * Render quality tiers of the 3D scene, from the cheapest to the most detailed.
+ * - dpr: Device pixel ratio (or [min, max] range) of the canvas.
+ * - sphereSegments: Width segments of the globe spheres (height segments are half).
+ * - stars: Number of background stars.
+ * - lodDistance: Camera distance (scene units) under which satellites are drawn with their
+ *   full model instead of a point sprite.
+ */
+export const QUALITY_TIERS = {
+  low: { label: 'Low', dpr: 1, sphereSegments: 32, stars: 1000, lodDistance: 1.8 },
+  medium: { label: 'Medium', dpr: [1, 1.5], sphereSegments: 48, stars: 2500, lodDistance: 2.6 },
+  high: { label: 'High', dpr: [1, 2], sphereSegments: 64, stars: 5000, lodDistance: 3.5 },
+};
+
+const TIER_ORDER = ['low', 'medium', 'high'];
+
+/**
+ * Quality modes offered to the user: 'auto' follows the measured frame rate, the others pin a tier.
+ */
+export const QUALITY_MODES = ['auto', ...TIER_ORDER];
+
+/**
+ * Store for the render quality.
+ *
+ * State: `{ mode, autoTier, fps }`:
+ * - mode: One of QUALITY_MODES (remembered).
+ * - autoTier: Tier chosen from the frame rate, used in 'auto' mode.
+ * - fps: Last measured frame rate, or null before the first measurement.
+ */
+const loadMode = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return QUALITY_MODES.includes(saved) ? saved : 'auto';
+  } catch (error) {
+    console.error('Error loading quality settings:', error);
+    return 'auto';
+  }
+};
+
+const { getState, setState, useStore } = createStore({ mode: loadMode(), autoTier: 'high', fps: null });
+
+/**
+ * useQuality: React hook returning the quality state, re-rendering on changes.
+ * @returns {object} The store state plus `tier` (the tier in use) and `settings` (its QUALITY_TIERS entry).
+ */
+export const useQuality = () => {
+  const current = useStore();
+  const tier = current.mode === 'auto' ? current.autoTier : current.mode;
+  return { ...current, tier, settings: QUALITY_TIERS[tier] };
+};
+
+/**
+ * Selects the quality mode and remembers it.
+ * @param {string} mode - One of QUALITY_MODES.
+ */
+export const setQualityMode = (mode) => {
+  if (!QUALITY_MODES.includes(mode)) return;
+  try {
+    localStorage.setItem(STORAGE_KEY, mode);
+  } catch (error) {
+    console.error('Error saving quality settings:', error);
+  }
+  setState({ mode });
+};
+
+/**
+ * Moves the automatic tier one step up or down (clamped to the available tiers).
+ * @param {1|-1} direction - 1 for more detail, -1 for less.
+ */
+export const stepAutoTier = (direction) => {
+  const { autoTier } = getState();
+  const index = Math.min(Math.max(TIER_ORDER.indexOf(autoTier) + direction, 0), TIER_ORDER.length - 1);
+  if (TIER_ORDER[index] !== autoTier) setState({ autoTier: TIER_ORDER[index] });
+};
+
+/**
+ * Records the measured frame rate.
+ * @param {number} fps - Frames per second.
+ */
+export const setMeasuredFps = (fps) => setState({ fps: Math.round(fps) });
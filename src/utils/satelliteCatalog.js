@@ -0,0 +1,188 @@
+import { createStore } from './createStore';
+
+const CATALOG_URL = `${import.meta.env.BASE_URL}data/satellites.json`;
+const MANIFEST_URL = `${import.meta.env.BASE_URL}assets/manifest.json`;
+const STORAGE_KEY = 'model-earth:hidden-satellites';
+
+/**
+ * Store for the satellite catalog (public/data/satellites.json): the presentation and mission
+ * metadata of the satellites drawn from the TLEs (see utils/orbitStore). Satellites are added or
+ * removed by editing that file; the models it references must be listed in the asset manifest
+ * (public/assets/manifest.json), otherwise a placeholder mesh is drawn instead.
+ *
+ * Catalog entry:
+ * - noradId: NORAD catalog number matching the TLE (required, unique).
+ * - name / color: Label and '#rrggbb' color (required).
+ * - operator / launchDate: Mission metadata; launchDate as 'YYYY-MM-DD'.
+ * - instruments: `[{ name, products: string[] }]`.
+ * - swath: `{ instrument, widthKm }` of the imaging instrument.
+ * - model: GLB path relative to public/assets, or null for the placeholder.
+ * - scale: Size relative to the other satellites (models are normalized to the same size).
+ * - hidden: Not drawn by default (the user can still show it).
+ *
+ * State: `{ status: 'loading'|'ready'|'error', satellites, warnings, error, hiddenIds }`, where
+ * `hiddenIds` are the user's overrides of the `hidden` flags (remembered across sessions).
+ */
+const loadHiddenIds = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (error) {
+    console.error('Error loading hidden satellites:', error);
+    return {};
+  }
+};
+
+const { getState, setState, useStore } = createStore({ status: 'loading', satellites: [], warnings: [], error: null, hiddenIds: loadHiddenIds() });
+
+/**
+ * useSatelliteCatalog: React hook returning the catalog state, re-rendering on changes.
+ * @returns {object} The store state described above.
+ */
+export const useSatelliteCatalog = useStore;
+
+const isString = (value) => typeof value === 'string' && value.trim() !== '';
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Checks one catalog entry against the schema described above.
+ * @param {object} entry - Raw entry.
+ * @returns {string[]} Problems found; empty when the entry is valid.
+ */
+const checkEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') return ['must be an object'];
+  const problems = [];
+  if (!Number.isInteger(entry.noradId) || entry.noradId <= 0) problems.push('noradId must be a positive integer');
+  if (!isString(entry.name)) problems.push('name is required');
+  if (typeof entry.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(entry.color)) problems.push('color must be a #rrggbb hex color');
+  if (entry.operator !== undefined && !isString(entry.operator)) problems.push('operator must be a string');
+  if (entry.launchDate !== undefined && (typeof entry.launchDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(entry.launchDate))) {
+    problems.push('launchDate must be YYYY-MM-DD');
+  }
+  if (entry.instruments !== undefined && (
+    !Array.isArray(entry.instruments) ||
+    !entry.instruments.every((item) => isString(item?.name) && Array.isArray(item.products) && item.products.every(isString))
+  )) {
+    problems.push('instruments must be a list of { name, products }');
+  }
+  if (entry.swath !== undefined && (!isString(entry.swath?.instrument) || !isPositive(entry.swath?.widthKm))) {
+    problems.push('swath needs an instrument and a positive widthKm');
+  }
+  if (entry.model !== undefined && entry.model !== null && !isString(entry.model)) problems.push('model must be a path or null');
+  if (entry.scale !== undefined && !isPositive(entry.scale)) problems.push('scale must be a positive number');
+  if (entry.hidden !== undefined && typeof entry.hidden !== 'boolean') problems.push('hidden must be true or false');
+  return problems;
+};
+
+/**
+ * validateCatalog: Validates the catalog file. Invalid or duplicate entries are dropped, and
+ * models missing from the asset manifest are replaced by the placeholder (model: null).
+ * @param {object} catalog - Parsed satellites.json.
+ * @param {string[]|null} models - Model paths listed in the asset manifest; null skips the check.
+ * @returns {{satellites: object[], warnings: string[]}} The usable entries (with `model` resolved
+ *   to a URL) and one message per problem found.
+ */
+export function validateCatalog(catalog, models) {
+  if (!Array.isArray(catalog?.satellites)) {
+    throw new Error('The satellite catalog needs a "satellites" list');
+  }
+  const warnings = [];
+  const seen = new Set();
+  const satellites = [];
+  catalog.satellites.forEach((entry, index) => {
+    const label = `Entry ${index + 1}${isString(entry?.name) ? ` (${entry.name})` : ''}`;
+    const problems = checkEntry(entry);
+    if (problems.length > 0) {
+      warnings.push(`${label}: ${problems.join('; ')}`);
+      return;
+    }
+    if (seen.has(entry.noradId)) {
+      warnings.push(`${label}: duplicate noradId ${entry.noradId}`);
+      return;
+    }
+    seen.add(entry.noradId);
+
+    let model = entry.model ?? null;
+    if (model && models && !models.includes(model)) {
+      warnings.push(`${label}: model "${model}" is not in the asset manifest, drawing a placeholder`);
+      model = null;
+    }
+    satellites.push({
+      ...entry,
+      instruments: entry.instruments || [],
+      model: model ? `${import.meta.env.BASE_URL}assets/${model}` : null,
+      scale: entry.scale ?? 1,
+      hidden: entry.hidden ?? false,
+    });
+  });
+  return { satellites, warnings };
+}
+
+/**
+ * checkOrbits: Flags the catalog entries without an element set in the loaded TLEs (see
+ * utils/orbitStore). Those satellites cannot be propagated, so they are never drawn nor included
+ * in passes or swath coverage.
+ * @param {object[]} satellites - Validated catalog entries.
+ * @param {object[]} elements - Parsed element sets (see utils/tle).
+ * @returns {string[]} One warning per entry without orbital data.
+ */
+export function checkOrbits(satellites, elements) {
+  const noradIds = new Set(elements.map((element) => element.noradId));
+  return satellites
+    .filter((satellite) => !noradIds.has(satellite.noradId))
+    .map((satellite) => `${satellite.name} (NORAD ${satellite.noradId}): no element set in the loaded TLEs, not propagated`);
+}
+
+/**
+ * Whether a catalog entry is drawn, taking the user's override into account.
+ * @param {object} satellite - Catalog entry.
+ * @param {object} hiddenIds - User overrides keyed by NORAD id (see the store state).
+ * @returns {boolean} True when the satellite is hidden.
+ */
+export const isSatelliteHidden = (satellite, hiddenIds) => hiddenIds[satellite.noradId] ?? satellite.hidden;
+
+/**
+ * Shows or hides a catalog satellite and remembers the choice.
+ * @param {number} noradId - NORAD id.
+ * @param {boolean} hidden - Whether to hide it.
+ */
+export const setSatelliteHidden = (noradId, hidden) => {
+  const hiddenIds = { ...getState().hiddenIds, [noradId]: hidden };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(hiddenIds));
+  } catch (error) {
+    console.error('Error saving hidden satellites:', error);
+  }
+  setState({ hiddenIds });
+};
+
+const fetchJSON = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+};
+
+/**
+ * Downloads the catalog and the asset manifest, and validates the catalog.
+ * Without a manifest every model is tried as configured.
+ * @returns {Promise<void>}
+ */
+const loadCatalog = async () => {
+  try {
+    const [catalog, manifest] = await Promise.all([
+      fetchJSON(CATALOG_URL),
+      fetchJSON(MANIFEST_URL).catch((error) => {
+        console.warn('Asset manifest unavailable, models are not checked:', error);
+        return null;
+      }),
+    ]);
+    const { satellites, warnings } = validateCatalog(catalog, Array.isArray(manifest?.models) ? manifest.models : null);
+    warnings.forEach((warning) => console.warn(`Satellite catalog: ${warning}`));
+    setState({ status: 'ready', satellites, warnings, error: null });
+  } catch (error) {
+    console.error('Error loading the satellite catalog:', error);
+    setState({ status: 'error', satellites: [], warnings: [], error: error.message });
+  }
+};
+
+loadCatalog();
@@ -0,0 +1,65 @@
+import { createStore } from './createStore';
+
+/**
+ * Shared simulation clock driving the 3D scene (Earth rotation, satellite positions, sun).
+ * Simulated time advances from an anchor: `anchorTime + (now - anchorReal) * rate` while playing,
+ * and stays at `anchorTime` while paused. Animation loops read getSimulationTime() every frame;
+ * React components subscribe with useSimulationClock() to the controls (rate, paused), which
+ * change rarely.
+ */
+
+/**
+ * Playback speeds offered by the timeline (simulated seconds per real second).
+ */
+export const CLOCK_RATES = [1, 10, 60, 600, 3600];
+
+const { getState, setState, useStore } = createStore({ anchorTime: Date.now(), anchorReal: performance.now(), rate: 1, paused: false });
+
+/**
+ * Returns the current simulated time as epoch milliseconds.
+ * @returns {number} Simulated time.
+ */
+export const getSimulationMillis = () => {
+  const { anchorTime, anchorReal, rate, paused } = getState();
+  return paused ? anchorTime : anchorTime + (performance.now() - anchorReal) * rate;
+};
+
+/**
+ * getSimulationTime: Current simulated time, for animation loops.
+ * @returns {Date} Simulated time.
+ */
+export const getSimulationTime = () => new Date(getSimulationMillis());
+
+/**
+ * useSimulationClock: React hook returning the clock controls `{ rate, paused }`
+ * (plus the anchor), re-rendering when they change.
+ * @returns {object} The clock state.
+ */
+export const useSimulationClock = useStore;
+
+// Re-anchoring at the current simulated time keeps the clock continuous when the rate changes.
+const reanchor = (changes) =>
+  setState({ anchorTime: getSimulationMillis(), anchorReal: performance.now(), ...changes });
+
+export const play = () => reanchor({ paused: false });
+
+export const pause = () => reanchor({ paused: true });
+
+/**
+ * Changes the playback speed.
+ * @param {number} rate - Simulated seconds per real second.
+ */
+export const setClockRate = (rate) => reanchor({ rate });
+
+/**
+ * Jumps to a simulated time, keeping the playback state.
+ * @param {Date|number} time - Target time.
+ */
+export const setSimulationTime = (time) =>
+  setState({ anchorTime: new Date(time).getTime(), anchorReal: performance.now() });
+
+/**
+ * Returns to the present, playing in real time.
+ */
+export const resetClock = () =>
+  setState({ anchorTime: Date.now(), anchorReal: performance.now(), rate: 1, paused: false });
@@ -0,0 +1,97 @@
+import { resampleToDaily } from './timeSeries';
+
+/**
+ * Solar radiation units used across the dashboard:
+ * - W/m²: mean irradiance over the whole UTC day (night hours included).
+ * - kWh/m²/day: daily insolation, the energy received per square meter over the day.
+ * Both describe the same quantity: 1 kWh/m²/day = 1000 Wh / 24 h ≈ 41.67 W/m².
+ */
+
+/**
+ * Radiation series shown on the dashboard, in display order. Each one comes from the
+ * Open-Meteo satellite archive; `fallback` names the NASA POWER parameter used instead
+ * when the satellite archive returns nothing for the location or range.
+ */
+export const SOLAR_SERIES = [
+  { id: 'shortwave_radiation', label: 'Shortwave (global)', color: '#fde047', fallback: 'ALLSKY_SFC_SW_DWN' },
+  { id: 'direct_radiation', label: 'Direct', color: '#fb923c' },
+  { id: 'direct_radiation_instant', label: 'Direct (instant)', color: '#f472b6' },
+  { id: 'diffuse_radiation_instant', label: 'Diffuse (instant)', color: '#38bdf8' },
+];
+
+/**
+ * Converts a mean irradiance into daily insolation.
+ * @param {number} watts - Mean irradiance over the day, in W/m².
+ * @returns {number} Insolation in kWh/m²/day.
+ */
+export const toDailyInsolation = (watts) => (watts * 24) / 1000;
+
+/**
+ * Converts daily insolation into the equivalent mean irradiance.
+ * @param {number} insolation - Insolation in kWh/m²/day.
+ * @returns {number} Mean irradiance in W/m².
+ */
+export const toMeanIrradiance = (insolation) => (insolation * 1000) / 24;
+
+/**
+ * toDailyIrradiance: Normalizes a radiation TimeSeries to daily mean irradiance (W/m²).
+ * Hourly series are averaged over complete days only, since a missing night or midday hour
+ * would bias the mean; daily insolation series (kWh/m²/day) are converted.
+ * @param {object} series - Hourly W/m² or daily kWh/m²/day TimeSeries.
+ * @returns {object} A daily TimeSeries in W/m².
+ */
+export function toDailyIrradiance(series) {
+  if (series.resolution === 'hourly') return resampleToDaily(series, { minValid: 24 });
+  if (series.unit !== 'kWh/m²/day') return series;
+  return {
+    ...series,
+    unit: 'W/m²',
+    values: series.values.map((value) => (value === null ? null : toMeanIrradiance(value))),
+  };
+}
+
+/**
+ * getSolarNoon: Time of local solar noon (sun at its highest) for a day and longitude,
+ * using the usual approximation of the equation of time (accurate to about a minute).
+ * @param {string} day - ISO date ('YYYY-MM-DD').
+ * @param {number} lon - Longitude in degrees (east positive).
+ * @param {number} [utcOffset] - Offset of the wanted clock from UTC, in hours (see getUtcOffset).
+ * @returns {number} Solar noon in fractional hours of that clock, between 0 and 24.
+ */
+export function getSolarNoon(day, lon, utcOffset = 0) {
+  const date = new Date(`${day}T00:00:00Z`);
+  const dayOfYear = Math.round((date - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000);
+  const b = (2 * Math.PI * (dayOfYear - 81)) / 364;
+  const equationOfTime = 9.87 * Math.sin(2 * b) - 7.53 * Math.cos(b) - 1.5 * Math.sin(b);
+  return (((12 - lon / 15 - equationOfTime / 60 + utcOffset) % 24) + 24) % 24;
+}
+
+/**
+ * getUtcOffset: Offset of a time zone from UTC at midday of a day, so daylight saving time is
+ * taken into account.
+ * @param {string} day - ISO date ('YYYY-MM-DD').
+ * @param {string} timeZone - IANA time zone (e.g. 'Europe/Berlin').
+ * @returns {{hours: number, label: string}} The offset in fractional hours and the zone's short
+ *   name for display (e.g. 'PDT', or 'GMT+2' where it has none).
+ */
+export function getUtcOffset(day, timeZone) {
+  const midday = new Date(`${day}T12:00:00Z`);
+  const zoneName = (style) => new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: style })
+    .formatToParts(midday)
+    .find((part) => part.type === 'timeZoneName').value;
+  const [, sign, hours, minutes = '0'] = /GMT([+-])(\d+):?(\d+)?/.exec(zoneName('shortOffset')) || [];
+  return {
+    hours: sign ? (sign === '-' ? -1 : 1) * (Number(hours) + Number(minutes) / 60) : 0,
+    label: zoneName('short'),
+  };
+}
+
+/**
+ * Formats fractional hours as 'HH:MM'.
+ * @param {number} hours - Hours between 0 and 24.
+ * @returns {string} The formatted time.
+ */
+export const formatHours = (hours) => {
+  const minutes = Math.round(hours * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
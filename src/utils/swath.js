@@ -0,0 +1,101 @@
+import { propagateOrbit } from './tle';
+import { destinationPoint, EARTH_RADIUS_KM, greatCircleDistance, initialBearing } from './geo';
+import { getSubsolarPoint } from './astronomy';
+
+/**
+ * Instrument swaths: the strip of ground an Earth-observation instrument images as its
+ * satellite moves, modelled as a band of fixed width centred on (and perpendicular to) the
+ * ground track. Good enough to tell whether a place was imaged on a given day; it ignores
+ * pointing, off-nadir tilt and scan geometry.
+ */
+
+const DEG = Math.PI / 180;
+// Time between the two sub-points that define the ground track heading.
+const HEADING_STEP_MS = 10 * 1000;
+const SCAN_STEP_MS = 30 * 1000;
+const PRECISION_MS = 100;
+
+/**
+ * getGroundTrackPoint: Sub-satellite point and ground track heading at a time.
+ * @param {object} orbit - Orbit from createOrbit() (utils/tle).
+ * @param {number} time - Epoch milliseconds.
+ * @returns {{lat: number, lon: number, altitude: number, heading: number}|null} Degrees and km,
+ *   heading clockwise from north; null when SGP4 fails.
+ */
+export const getGroundTrackPoint = (orbit, time) => {
+  const here = propagateOrbit(orbit, new Date(time));
+  const next = propagateOrbit(orbit, new Date(time + HEADING_STEP_MS));
+  if (!here || !next) return null;
+  return { ...here, heading: initialBearing(here.lat, here.lon, next.lat, next.lon) };
+};
+
+/**
+ * getCrossTrackPoints: Points evenly spaced across the swath, from the left edge to the right
+ * edge, so a swath can be drawn hugging the globe's curvature.
+ * @param {{lat: number, lon: number, heading: number}} center - Sub-satellite point with its heading.
+ * @param {number} widthKm - Full swath width.
+ * @param {number} count - Number of points (at least 2).
+ * @returns {Array<{lat: number, lon: number}>} Points from left to right.
+ */
+export const getCrossTrackPoints = (center, widthKm, count) =>
+  Array.from({ length: count }, (_, index) =>
+    destinationPoint(center.lat, center.lon, center.heading + 90, widthKm * (index / (count - 1) - 0.5)));
+
+/**
+ * Position of a location relative to the ground track at a time.
+ * @returns {{ahead: boolean, crossTrack: number}|null} Whether the location is still ahead of the
+ *   sub-satellite point, and its signed distance from the track in km (positive to the right).
+ */
+const getTrackOffset = (orbit, location, time) => {
+  const point = getGroundTrackPoint(orbit, time);
+  if (!point) return null;
+  const distance = greatCircleDistance(point.lat, point.lon, location.lat, location.lon) / EARTH_RADIUS_KM;
+  const delta = (initialBearing(point.lat, point.lon, location.lat, location.lon) - point.heading) * DEG;
+  return {
+    ahead: Math.cos(delta) > 0,
+    crossTrack: Math.asin(Math.sin(distance) * Math.sin(delta)) * EARTH_RADIUS_KM,
+  };
+};
+
+/**
+ * findSwathCoverage: Lists the times a location fell inside a satellite's swath within a window.
+ * The location is imaged when the satellite passes abeam of it (the location goes from ahead of
+ * to behind the sub-satellite point) with a cross-track distance below half the swath width.
+ * @param {object} orbit - Orbit from createOrbit() (utils/tle).
+ * @param {{lat: number, lon: number}} location - Location in decimal degrees.
+ * @param {number} start - Window start (epoch milliseconds).
+ * @param {number} end - Window end (epoch milliseconds).
+ * @param {number} widthKm - Full swath width.
+ * @returns {Array<{time: number, offsetKm: number, sunlit: boolean}>} Overpasses in time order:
+ *   signed cross-track offset (positive to the right of the track) and whether the Sun was up at
+ *   the location (optical instruments only image the day side).
+ */
+export function findSwathCoverage(orbit, location, start, end, widthKm) {
+  const overpasses = [];
+  let previous = getTrackOffset(orbit, location, start);
+  for (let time = start + SCAN_STEP_MS; time <= end; time += SCAN_STEP_MS) {
+    const current = getTrackOffset(orbit, location, time);
+    if (previous?.ahead && current && !current.ahead) {
+      // Bisect the instant the location comes abeam.
+      let low = time - SCAN_STEP_MS;
+      let high = time;
+      while (high - low > PRECISION_MS) {
+        const middle = (low + high) / 2;
+        if (getTrackOffset(orbit, location, middle)?.ahead) low = middle;
+        else high = middle;
+      }
+      const abeam = Math.round((low + high) / 2);
+      const offset = getTrackOffset(orbit, location, abeam);
+      if (offset && Math.abs(offset.crossTrack) <= widthKm / 2) {
+        const sun = getSubsolarPoint(new Date(abeam));
+        overpasses.push({
+          time: abeam,
+          offsetKm: offset.crossTrack,
+          sunlit: greatCircleDistance(sun.lat, sun.lon, location.lat, location.lon) < (Math.PI / 2) * EARTH_RADIUS_KM,
+        });
+      }
+    }
+    previous = current;
+  }
+  return overpasses;
+}
@@ -0,0 +1,255 @@
+/**
+ * Normalized time-series model shared by the data providers and the dashboard.
+ *
+ * A TimeSeries is `{ variable, provider, label, unit, resolution, timeZone, time, values, quality }`:
+ * - timeZone: IANA time zone of the timestamps; 'UTC' unless the provider serves local time.
+ * - time: ISO timestamps in that time zone ('YYYY-MM-DD' for daily data, 'YYYY-MM-DDTHH:MM' for hourly data).
+ * - values: Numbers, or null for gaps. Gaps are never dropped so charts can show breaks.
+ * - quality: One QUALITY flag per value.
+ */
+
+/**
+ * Quality flags attached to every value of a TimeSeries.
+ * - ok: Valid measurement.
+ * - missing: The provider reported no value (fill value, null, or no record for that time step).
+ * - invalid: A value was reported but falls outside the variable's valid range.
+ * - interpolated: Gap filled by interpolateGaps(); not counted as measured data.
+ */
+export const QUALITY = {
+  OK: 'ok',
+  MISSING: 'missing',
+  INVALID: 'invalid',
+  INTERPOLATED: 'interpolated',
+};
+
+/**
+ * Sentinel values each provider uses for missing data (null/NaN are always treated as missing).
+ * NASA POWER documents -999 and also reports it in the response header, which takes precedence.
+ */
+const FILL_VALUES = {
+  'nasa-power': [-999],
+  'open-meteo-satellite': [],
+};
+
+/**
+ * Registers the fill values of a provider, so third-party adapters get the same gap handling.
+ * @param {string} provider - Provider id.
+ * @param {number[]} values - Sentinel values meaning "no data".
+ */
+export const registerFillValues = (provider, values) => {
+  FILL_VALUES[provider] = [...values];
+};
+
+/**
+ * Checks whether a raw provider value means "no data".
+ * @param {string} provider - Provider id.
+ * @param {*} value - Raw value.
+ * @param {number[]} [extraFillValues] - Fill values announced by the response itself.
+ * @returns {boolean} True if the value is a gap.
+ */
+export const isFillValue = (provider, value, extraFillValues = []) =>
+  value === null ||
+  value === undefined ||
+  typeof value !== 'number' ||
+  isNaN(value) ||
+  (FILL_VALUES[provider] || []).includes(value) ||
+  extraFillValues.includes(value);
+
+/**
+ * Builds a normalized TimeSeries from raw provider values.
+ * @param {object} options - Series description.
+ * @param {string} options.variable - Variable id.
+ * @param {string} options.provider - Provider id (selects the fill values).
+ * @param {string} options.label - Display label.
+ * @param {string} options.unit - Unit of the values.
+ * @param {'daily'|'hourly'|'monthly'} options.resolution - Time step.
+ * @param {string[]} options.time - ISO timestamps.
+ * @param {string} [options.timeZone] - IANA time zone of the timestamps.
+ * @param {Array<number|null>} options.rawValues - Values as reported by the provider.
+ * @param {number[]} [options.fillValues] - Additional fill values announced by the response.
+ * @param {number[]} [options.validRange] - Plausible [min, max]; values outside are flagged invalid.
+ * @returns {object} The TimeSeries.
+ */
+export function createSeries({ variable, provider, label, unit, resolution, time, timeZone = 'UTC', rawValues, fillValues = [], validRange }) {
+  const values = [];
+  const quality = [];
+  rawValues.forEach((raw) => {
+    if (isFillValue(provider, raw, fillValues)) {
+      values.push(null);
+      quality.push(QUALITY.MISSING);
+    } else if (validRange && (raw < validRange[0] || raw > validRange[1])) {
+      values.push(null);
+      quality.push(QUALITY.INVALID);
+    } else {
+      values.push(raw);
+      quality.push(QUALITY.OK);
+    }
+  });
+  return { variable, provider, label, unit, resolution, timeZone, time, values, quality };
+}
+
+/**
+ * Lists every day of an inclusive UTC date range as ISO dates.
+ * @param {Date} startDate - First day.
+ * @param {Date} endDate - Last day.
+ * @returns {string[]} Dates in 'YYYY-MM-DD' format.
+ */
+export const listDays = (startDate, endDate) => {
+  const days = [];
+  const cursor = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()));
+  while (cursor <= endDate) {
+    days.push(cursor.toISOString().split('T')[0]);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return days;
+};
+
+/**
+ * Re-indexes a daily series onto a full date axis; days the provider did not return become
+ * explicit missing values.
+ * @param {object} series - Daily TimeSeries.
+ * @param {string[]} days - Target ISO dates (see listDays).
+ * @returns {object} A new TimeSeries with one value per day.
+ */
+export function alignDaily(series, days) {
+  const indexByTime = new Map(series.time.map((time, index) => [time, index]));
+  const values = [];
+  const quality = [];
+  days.forEach((day) => {
+    const index = indexByTime.get(day);
+    values.push(index === undefined ? null : series.values[index]);
+    quality.push(index === undefined ? QUALITY.MISSING : series.quality[index]);
+  });
+  return { ...series, time: days, values, quality };
+}
+
+/**
+ * resampleToDaily: Averages an hourly TimeSeries into daily means, using only valid hours.
+ * A day with fewer than `minValid` valid hours is kept as a missing value.
+ * @param {object} series - Hourly TimeSeries (time as 'YYYY-MM-DDTHH:MM').
+ * @param {object} [options] - Options.
+ * @param {number} [options.minValid] - Valid hours a day needs to get a mean (e.g. 24 when a
+ *   partial day would bias the mean, as for radiation, which is zero at night).
+ * @returns {object} A daily TimeSeries.
+ */
+export function resampleToDaily(series, { minValid = 1 } = {}) {
+  const totals = new Map();
+  series.time.forEach((time, index) => {
+    const day = time.slice(0, 10);
+    if (!totals.has(day)) totals.set(day, { sum: 0, count: 0 });
+    if (series.quality[index] === QUALITY.OK) {
+      totals.get(day).sum += series.values[index];
+      totals.get(day).count += 1;
+    }
+  });
+  const days = [...totals.keys()];
+  return {
+    ...series,
+    resolution: 'daily',
+    time: days,
+    values: days.map((day) => (totals.get(day).count >= minValid ? totals.get(day).sum / totals.get(day).count : null)),
+    quality: days.map((day) => (totals.get(day).count >= minValid ? QUALITY.OK : QUALITY.MISSING)),
+  };
+}
+
+/**
+ * interpolateGaps: Opt-in linear interpolation across short gaps between two valid values.
+ * Leading/trailing gaps and gaps longer than `maxGap` steps are left as nulls.
+ * @param {object} series - TimeSeries with a regular time step.
+ * @param {object} [options] - Options.
+ * @param {number} [options.maxGap] - Longest gap (in time steps) to fill.
+ * @returns {object} A new TimeSeries; filled values are flagged QUALITY.INTERPOLATED.
+ */
+export function interpolateGaps(series, { maxGap = 3 } = {}) {
+  const values = [...series.values];
+  const quality = [...series.quality];
+  let previous = -1;
+  values.forEach((value, index) => {
+    if (value === null) return;
+    const gap = index - previous - 1;
+    if (previous >= 0 && gap > 0 && gap <= maxGap) {
+      const from = values[previous];
+      for (let step = 1; step <= gap; step += 1) {
+        values[previous + step] = from + ((value - from) * step) / (gap + 1);
+        quality[previous + step] = QUALITY.INTERPOLATED;
+      }
+    }
+    previous = index;
+  });
+  return { ...series, values, quality };
+}
+
+/**
+ * Percentage of time steps holding a valid measurement (interpolated values do not count).
+ * @param {object} series - TimeSeries.
+ * @returns {number} Completeness between 0 and 100, rounded to one decimal.
+ */
+export const getCompleteness = (series) => {
+  if (series.quality.length === 0) return 0;
+  const valid = series.quality.filter((flag) => flag === QUALITY.OK).length;
+  return parseFloat(((valid / series.quality.length) * 100).toFixed(1));
+};
+
+/**
+ * Returns the last non-null value of a series with its timestamp.
+ * @param {object} series - TimeSeries.
+ * @returns {{time: string, value: number}|null} The latest value, or null if the series is empty.
+ */
+export const getLatestValue = (series) => {
+  for (let index = series.values.length - 1; index >= 0; index -= 1) {
+    if (series.values[index] !== null) return { time: series.time[index], value: series.values[index] };
+  }
+  return null;
+};
+
+/**
+ * Extracts one day of an hourly series as a 24-hour profile.
+ * @param {object} series - Hourly TimeSeries (time as 'YYYY-MM-DDTHH:MM').
+ * @param {string} day - ISO date ('YYYY-MM-DD').
+ * @returns {Array<number|null>} 24 values indexed by hour of day; hours without valid data are null.
+ */
+export const getHourlyProfile = (series, day) => {
+  const profile = new Array(24).fill(null);
+  series.time.forEach((time, index) => {
+    if (time.startsWith(day) && series.quality[index] === QUALITY.OK) {
+      profile[Number(time.slice(11, 13))] = series.values[index];
+    }
+  });
+  return profile;
+};
+
+/**
+ * getDiurnalMean: Averages an hourly series by hour of day across its whole range
+ * (the typical daily cycle). Only valid values are used.
+ * @param {object} series - Hourly TimeSeries (time as 'YYYY-MM-DDTHH:MM').
+ * @returns {Array<number|null>} 24 means indexed by hour of day; null for hours without any valid value.
+ */
+export function getDiurnalMean(series) {
+  const sums = new Array(24).fill(0);
+  const counts = new Array(24).fill(0);
+  series.time.forEach((time, index) => {
+    if (series.quality[index] !== QUALITY.OK) return;
+    const hour = Number(time.slice(11, 13));
+    sums[hour] += series.values[index];
+    counts[hour] += 1;
+  });
+  return sums.map((sum, hour) => (counts[hour] > 0 ? sum / counts[hour] : null));
+}
+
+/**
+ * getSummaryStats: Mean, minimum and maximum of the valid values of a series
+ * (interpolated values are not counted as data).
+ * @param {object} series - TimeSeries.
+ * @returns {{mean: number|null, min: number|null, max: number|null, count: number}} The statistics;
+ *   null when the series has no valid value.
+ */
+export function getSummaryStats(series) {
+  const valid = series.values.filter((value, index) => series.quality[index] === QUALITY.OK);
+  if (valid.length === 0) return { mean: null, min: null, max: null, count: 0 };
+  return {
+    mean: valid.reduce((sum, value) => sum + value, 0) / valid.length,
+    min: Math.min(...valid),
+    max: Math.max(...valid),
+    count: valid.length,
+  };
+}
@@ -0,0 +1,160 @@
+import { degreesLat, degreesLong, eciToGeodetic, gstime, propagate, twoline2satrec } from 'satellite.js';
+
+/**
+ * Two-Line Element (TLE) parsing and SGP4 propagation, built on satellite.js.
+ * Positions are returned in Earth-fixed geodetic coordinates, so they can be placed in the
+ * Earth group's local frame with geodeticToVector3() like any location marker.
+ */
+
+/**
+ * Computes the modulo-10 checksum of a TLE line (digits count at face value, '-' counts as 1).
+ * @param {string} line - TLE line, at least 68 characters.
+ * @returns {number} The expected checksum digit.
+ */
+export const computeChecksum = (line) =>
+  [...line.slice(0, 68)].reduce((sum, char) => {
+    if (char >= '0' && char <= '9') return sum + Number(char);
+    return char === '-' ? sum + 1 : sum;
+  }, 0) % 10;
+
+/**
+ * Checks the structure of a TLE line pair.
+ * @param {string} line1 - First element line.
+ * @param {string} line2 - Second element line.
+ * @returns {string|null} A description of the problem, or null if the pair is valid.
+ */
+const validatePair = (line1, line2) => {
+  if (line1.length < 69 || line2.length < 69) return 'lines must be 69 characters long';
+  if (line1[0] !== '1' || line2[0] !== '2') return 'element lines must start with 1 and 2';
+  if (line1.slice(2, 7) !== line2.slice(2, 7)) return 'catalog numbers of both lines differ';
+  if (computeChecksum(line1) !== Number(line1[68]) || computeChecksum(line2) !== Number(line2[68])) {
+    return 'checksum mismatch';
+  }
+  return null;
+};
+
+/**
+ * parseTLE: Parses a TLE file in 2-line or 3-line (name line + elements) format; lines starting
+ * with '#' are comments. Invalid element sets are skipped and reported rather than failing the whole file.
+ * @param {string} text - File contents.
+ * @returns {{elements: object[], errors: string[]}} Parsed element sets
+ *   (`{ noradId, name, line1, line2, epoch }`) and one message per rejected entry.
+ */
+export function parseTLE(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trimEnd()).filter((line) => line.trim() && !line.startsWith('#'));
+  const elements = [];
+  const errors = [];
+  let name = null;
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    if (!line.startsWith('1 ')) {
+      // A name line (3-line format), optionally prefixed with '0 '.
+      name = line.replace(/^0 /, '').trim();
+      continue;
+    }
+    const line1 = line;
+    const line2 = lines[index + 1] || '';
+    index += 1;
+    const label = name || line1.slice(2, 7).trim();
+    const problem = validatePair(line1, line2);
+    if (problem) {
+      errors.push(`${label}: ${problem}`);
+    } else {
+      const satrec = twoline2satrec(line1, line2);
+      if (satrec.error) {
+        errors.push(`${label}: invalid orbital elements`);
+      } else {
+        elements.push({
+          noradId: Number(line1.slice(2, 7)),
+          name: label,
+          line1,
+          line2,
+          epoch: new Date((satrec.jdsatepoch - 2440587.5) * 86400000),
+        });
+      }
+    }
+    name = null;
+  }
+  return { elements, errors };
+}
+
+/**
+ * Creates the propagator state for a parsed element set.
+ * @param {object} element - Element set from parseTLE().
+ * @returns {object} The orbit: the element set plus its satellite.js record and period in minutes.
+ */
+export const createOrbit = (element) => {
+  const satrec = twoline2satrec(element.line1, element.line2);
+  // satrec.no is the mean motion in radians per minute.
+  return { ...element, satrec, periodMinutes: (2 * Math.PI) / satrec.no };
+};
+
+/**
+ * Distance from the element epoch (days) beyond which pass and coverage times are not computed:
+ * SGP4 errors grow by kilometres per day along the track, and much faster for low orbits
+ * decaying under drag, so old elements put a satellite minutes away from where it really is.
+ */
+export const MAX_ELEMENT_AGE_DAYS = 5;
+
+/**
+ * getElementAgeDays: How far a time span reaches from an orbit's element epoch.
+ * @param {object} orbit - Orbit from createOrbit().
+ * @param {number} start - First instant (epoch milliseconds).
+ * @param {number} [end] - Last instant (epoch milliseconds); defaults to `start`.
+ * @returns {number} The largest distance between the epoch and the span, in days.
+ */
+export const getElementAgeDays = (orbit, start, end = start) => {
+  const epoch = orbit.epoch.getTime();
+  return Math.max(Math.abs(start - epoch), Math.abs(end - epoch)) / 86400000;
+};
+
+/**
+ * propagateOrbit: Runs SGP4 to a given time and converts the result to geodetic coordinates.
+ * @param {object} orbit - Orbit from createOrbit().
+ * @param {Date} date - Time to propagate to.
+ * @returns {{lat: number, lon: number, altitude: number, speed: number}|null} Sub-satellite point
+ *   in degrees, altitude in km and speed in km/s; null when SGP4 fails (e.g. a decayed orbit).
+ */
+export function propagateOrbit(orbit, date) {
+  const state = propagate(orbit.satrec, date);
+  if (!state?.position || typeof state.position === 'boolean') return null;
+  const geodetic = eciToGeodetic(state.position, gstime(date));
+  const { x, y, z } = state.velocity;
+  return {
+    lat: degreesLat(geodetic.latitude),
+    lon: degreesLong(geodetic.longitude),
+    altitude: geodetic.height,
+    speed: Math.sqrt(x * x + y * y + z * z),
+  };
+}
+
+/**
+ * Propagates an orbit and returns the inertial (TEME/ECI) position.
+ * @param {object} orbit - Orbit from createOrbit().
+ * @param {Date} date - Time to propagate to.
+ * @returns {{x: number, y: number, z: number}|null} Position in km, or null when SGP4 fails.
+ */
+export function propagateInertial(orbit, date) {
+  const state = propagate(orbit.satrec, date);
+  if (!state?.position || typeof state.position === 'boolean') return null;
+  return state.position;
+}
+
+/**
+ * sampleOrbit: Samples an orbit at a fixed time step, skipping instants where SGP4 fails.
+ * @param {object} orbit - Orbit from createOrbit().
+ * @param {number} start - First instant (epoch milliseconds).
+ * @param {number} end - Last instant (epoch milliseconds).
+ * @param {number} stepSeconds - Time step.
+ * @param {function} [sample] - Called as sample(orbit, date); defaults to propagateOrbit (geodetic).
+ * @returns {object[]} The samples, each with its `time` (epoch milliseconds).
+ */
+export function sampleOrbit(orbit, start, end, stepSeconds, sample = propagateOrbit) {
+  const samples = [];
+  for (let time = start; time <= end; time += stepSeconds * 1000) {
+    const point = sample(orbit, new Date(time));
+    if (point) samples.push({ ...point, time });
+  }
+  return samples;
+}
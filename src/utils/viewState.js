@@ -0,0 +1,147 @@
+import { DATE_RANGE_PRESETS, DEFAULT_DATE_RANGE } from './dateRange';
+import { DEFAULT_PARAMETERS, PARAMETER_CATALOG } from './parameters';
+
+/**
+ * Shareable view state, kept in the URL hash so links also work on static hosting (GitHub Pages)
+ * without any server-side routing. The hash holds `key=value` pairs:
+ * - loc: Selected location as `lat,lon,name`.
+ * - cmp: A compared location, same format (repeated for each one).
+ * - range: `<preset>`, `month:YYYY-MM` or `YYYY-MM-DD..YYYY-MM-DD` (see utils/dateRange).
+ * - params: Comma-separated parameter ids.
+ * - dash: 1 when the dashboard is open.
+ * - sat: NORAD id of the satellite whose details are shown.
+ * - camera: `location` (over the selected location), `follow:<noradId>`, or `x,y,z` (overview
+ *   camera position); absent for the default overview.
+ * Missing or invalid entries fall back to the defaults.
+ *
+ * View state: `{ location, comparedLocations, dateRange, parameters, showDashboard,
+ * satelliteId, camera }`, where locations are `{ lat, lon, name }` and camera is null,
+ * `{ type: 'location' }`, `{ type: 'satellite', noradId }` or `{ type: 'overview', position }`.
+ */
+
+/**
+ * Coordinates are written with 4 decimals (about 10 m), the precision of the saved locations.
+ */
+const COORDINATE_DECIMALS = 4;
+const CAMERA_DECIMALS = 2;
+
+const roundNumber = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Rounds a latitude or longitude to the precision written in links.
+ * @param {number} value - Coordinate in degrees.
+ * @returns {number} The rounded coordinate.
+ */
+export const roundCoordinate = (value) => roundNumber(value, COORDINATE_DECIMALS);
+
+const encodeLocation = ({ lat, lon, name }) => `${roundCoordinate(lat)},${roundCoordinate(lon)},${name || ''}`;
+
+const decodeLocation = (value) => {
+  const match = /^(-?[\d.]+),(-?[\d.]+),?(.*)$/.exec(value || '');
+  if (!match) return null;
+  const lat = Number(match[1]);
+  const lon = Number(match[2]);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon, name: match[3] };
+};
+
+const encodeDateRange = (range) => {
+  if (range.preset === 'month') return `month:${range.month || ''}`;
+  if (range.preset === 'custom') return `${range.start || ''}..${range.end || ''}`;
+  return range.preset;
+};
+
+const decodeDateRange = (value) => {
+  if (!value) return DEFAULT_DATE_RANGE;
+  const month = /^month:(\d{4}-\d{2})$/.exec(value);
+  if (month) return { preset: 'month', month: month[1] };
+  const custom = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(value);
+  if (custom) return { preset: 'custom', start: custom[1], end: custom[2] };
+  const preset = DATE_RANGE_PRESETS.find((item) => item.id === value && item.days);
+  return preset ? { preset: preset.id } : DEFAULT_DATE_RANGE;
+};
+
+const decodeNoradId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const decodeCamera = (value) => {
+  if (value === 'location') return { type: 'location' };
+  const follow = /^follow:(\d+)$/.exec(value || '');
+  if (follow) return { type: 'satellite', noradId: Number(follow[1]) };
+  const position = (value || '').split(',').map(Number);
+  if (position.length === 3 && position.every(Number.isFinite) && Math.hypot(...position) > 2) {
+    return { type: 'overview', position };
+  }
+  return null;
+};
+
+const encodeCamera = (camera) => {
+  if (camera?.type === 'location') return 'location';
+  if (camera?.type === 'satellite') return `follow:${camera.noradId}`;
+  if (camera?.position) return camera.position.map((value) => roundNumber(value, CAMERA_DECIMALS)).join(',');
+  return null;
+};
+
+/**
+ * parseViewState: Reads the view state from a URL hash.
+ * @param {string} hash - URL hash, with or without the leading '#'.
+ * @returns {object} The view state described above.
+ */
+export function parseViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const parameters = (params.get('params') || '').split(',').filter((id) => PARAMETER_CATALOG[id]);
+  const location = decodeLocation(params.get('loc'));
+  const camera = decodeCamera(params.get('camera'));
+  return {
+    location,
+    comparedLocations: location ? params.getAll('cmp').map(decodeLocation).filter(Boolean) : [],
+    dateRange: decodeDateRange(params.get('range')),
+    parameters: parameters.length > 0 ? [...new Set(parameters)] : DEFAULT_PARAMETERS,
+    showDashboard: params.get('dash') === '1',
+    satelliteId: decodeNoradId(params.get('sat')),
+    // The location mode needs a location to fly to.
+    camera: camera?.type === 'location' && !location ? null : camera,
+  };
+}
+
+/**
+ * serializeViewState: Writes the view state as a URL hash, leaving out the defaults.
+ * @param {object} view - View state (see parseViewState).
+ * @returns {string} The hash without '#', empty for the default view.
+ */
+export function serializeViewState(view) {
+  const params = new URLSearchParams();
+  if (view.location) {
+    params.set('loc', encodeLocation(view.location));
+    view.comparedLocations.forEach((location) => params.append('cmp', encodeLocation(location)));
+  }
+  if (view.dateRange.preset !== DEFAULT_DATE_RANGE.preset) params.set('range', encodeDateRange(view.dateRange));
+  if (view.parameters.join(',') !== DEFAULT_PARAMETERS.join(',')) params.set('params', view.parameters.join(','));
+  if (view.showDashboard) params.set('dash', '1');
+  if (view.satelliteId !== null) params.set('sat', String(view.satelliteId));
+  const camera = encodeCamera(view.camera);
+  if (camera) params.set('camera', camera);
+  // Keep commas and colons readable in shared links.
+  return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+/**
+ * Reads the view state of the current page URL.
+ * @returns {object} The view state (see parseViewState).
+ */
+export const readViewState = () => parseViewState(window.location.hash);
+
+/**
+ * Replaces the current URL's hash with the view state, without adding a history entry
+ * (or firing 'hashchange').
+ * @param {object} view - View state (see parseViewState).
+ */
+export const writeViewState = (view) => {
+  const hash = serializeViewState(view);
+  const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(window.history.state, '', url);
+  }
+};